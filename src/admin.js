@@ -0,0 +1,180 @@
+// Admin API: purge a package from the caches and list stored artifacts.
+// Every route (and POST /prewarm, see prewarm.js) requires
+// `Authorization: Bearer <ADMIN_TOKEN>`; without the secret configured the
+// routes do not exist.
+
+import { createArtifactStore } from "./artifact-store.js";
+import { errorResponse } from "./errors.js";
+import { FORGE_PATH, resolveForgeArchive } from "./forges.js";
+
+const MAX_LIST_LIMIT = 1000;
+const NOT_FOUND = { status: 404, code: "not_found", message: "Not found" };
+
+/**
+ * Route /admin/* requests.
+ *
+ *   GET    /admin/cache[?limit=N]          recently stored artifacts, newest first
+ *   DELETE /admin/cache?key=<package URL>  purge one /packages/<name>?url= or
+ *                                          /<forge>/<owner>/<repo>/<ref> key
+ *
+ * Each action (including refused ones) is logged as one JSON line.
+ *
+ * @param {{ request: Request, env: Record<string, any>, url: URL }} args
+ */
+async function handleAdminRequest({ request, env, url }) {
+  const action = `${request.method} ${url.pathname}`;
+  const refused = await authorizeAdmin(request, env, action);
+  if (refused) return refused;
+
+  if (url.pathname !== "/admin/cache") {
+    logAdmin({ action, status: 404 });
+    return errorResponse(request, NOT_FOUND);
+  }
+
+  let result;
+  if (request.method === "GET") result = await listCached(url, env);
+  else if (request.method === "DELETE") result = await purgePackage(url, env);
+  else result = { status: 405, error: { code: "method_not_allowed", message: "Method not allowed" } };
+
+  logAdmin({ action, status: result.status, error: result.error?.code, ...result.log });
+  if (result.error) {
+    return errorResponse(
+      request,
+      { status: result.status, ...result.error },
+      result.status === 405 ? { Allow: "GET, DELETE" } : {}
+    );
+  }
+  return adminJson(result.body, result.status);
+}
+
+async function listCached(url, env) {
+  const store = createArtifactStore(env.ARTIFACTS);
+  if (!store) {
+    return { status: 501, error: { code: "store_not_configured", message: "Artifact store not configured" } };
+  }
+
+  const requested = Number(url.searchParams.get("limit") || 50);
+  const limit = Number.isInteger(requested) && requested > 0 ? Math.min(requested, MAX_LIST_LIMIT) : 50;
+  const artifacts = await store.list({ limit });
+  return { status: 200, body: { artifacts }, log: { count: artifacts.length } };
+}
+
+/**
+ * Drop one package URL from the edge cache and every stored artifact of its
+ * upstream URL: the `?url=` parameter, or the archive a forge route resolves
+ * to. `cache.delete()` only reaches this colo; with PURGE_ZONE_ID and
+ * PURGE_API_TOKEN set, the URL is also purged zone-wide through the
+ * Cloudflare API.
+ */
+async function purgePackage(url, env) {
+  const key = url.searchParams.get("key");
+  if (!key) return { status: 400, error: { code: "missing_key", message: "Missing ?key" } };
+
+  let packageUrl;
+  try {
+    packageUrl = new URL(key, url.origin);
+  } catch {
+    return { status: 400, error: { code: "invalid_key", message: "Invalid key" } };
+  }
+  const remoteUrl = packageUrl.searchParams.get("url") || forgeRemoteUrl(packageUrl.pathname);
+  if (!remoteUrl) {
+    return { status: 400, error: { code: "invalid_key", message: "Key has no ?url and is not a forge route" } };
+  }
+
+  const cacheKey = packageUrl.toString();
+  const edge = await caches.default.delete(new Request(cacheKey));
+  const store = createArtifactStore(env.ARTIFACTS);
+  const artifacts = store ? await store.deleteUpstream(remoteUrl) : [];
+  const zone = await purgeZone(cacheKey, env);
+
+  const body = { key: cacheKey, edge, zone, artifacts };
+  return { status: 200, body, log: { key: cacheKey, edge, zone, artifacts: artifacts.length } };
+}
+
+// The archive URL a /github|gitlab|bitbucket/... path serves, as index.js
+// resolves it; null for any other path.
+function forgeRemoteUrl(pathname) {
+  const match = pathname.match(FORGE_PATH);
+  if (!match) return null;
+  try {
+    return resolveForgeArchive(match[1], match[2].split("/").map(decodeURIComponent))?.remoteUrl ?? null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Purge a URL from every colo. Returns null when not configured, otherwise
+ * whether the API accepted the purge.
+ */
+async function purgeZone(cacheKey, env) {
+  if (!env.PURGE_ZONE_ID || !env.PURGE_API_TOKEN) return null;
+  try {
+    const res = await fetch(`https://api.cloudflare.com/client/v4/zones/${env.PURGE_ZONE_ID}/purge_cache`, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${env.PURGE_API_TOKEN}`,
+        "Content-Type": "application/json"
+      },
+      body: JSON.stringify({ files: [cacheKey] })
+    });
+    return res.ok;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check an admin request's bearer token. Returns null when it may proceed,
+ * otherwise the 404 (no ADMIN_TOKEN configured) or logged 401 response.
+ *
+ * @param {Request} request
+ * @param {Record<string, any> | undefined} env
+ * @param {string} action - "<METHOD> <path>", as logged.
+ * @returns {Promise<Response | null>}
+ */
+async function authorizeAdmin(request, env, action) {
+  if (!env?.ADMIN_TOKEN) return errorResponse(request, NOT_FOUND);
+  if (await isAuthorized(request, env.ADMIN_TOKEN)) return null;
+
+  logAdmin({ action, status: 401 });
+  return errorResponse(
+    request,
+    { status: 401, code: "unauthorized", message: "Unauthorized" },
+    { "WWW-Authenticate": 'Bearer realm="admin"' }
+  );
+}
+
+/**
+ * Compare the bearer token with the secret without leaking where they differ:
+ * both sides are hashed first so the comparison always covers 32 bytes.
+ */
+async function isAuthorized(request, token) {
+  const match = (request.headers.get("Authorization") || "").match(/^Bearer\s+(.+)$/i);
+  if (!match) return false;
+
+  const [given, expected] = await Promise.all([digest(match[1].trim()), digest(token)]);
+  let diff = 0;
+  for (let i = 0; i < expected.length; i++) diff |= given[i] ^ expected[i];
+  return diff === 0;
+}
+
+async function digest(text) {
+  return new Uint8Array(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text)));
+}
+
+function logAdmin(entry) {
+  console.log(JSON.stringify({ admin: true, at: new Date().toISOString(), ...entry }));
+}
+
+function adminJson(body, status) {
+  return new Response(JSON.stringify(body, null, 2), {
+    status,
+    headers: {
+      "Content-Type": "application/json; charset=utf-8",
+      "Cache-Control": "no-store"
+    }
+  });
+}
+
+export { handleAdminRequest, authorizeAdmin, logAdmin };
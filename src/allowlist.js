@@ -0,0 +1,132 @@
+// Source allowlist (ALLOW_HOSTS): comma-separated rules of the form
+//
+//   host              codeload.github.com       exact hostname
+//   *.host            *.gitlab.io               any subdomain (not the apex)
+//   host/path         codeload.github.com/sublimehq/**
+//                                               path glob; without wildcards
+//                                               it is a prefix of whole segments
+//   !rule             !codeload.github.com/evil deny; wins over every allow rule
+//
+// Hostnames compare case-insensitively. Paths compare case-sensitively after
+// percent-escapes of unreserved characters are decoded (`%65vil` is `evil`),
+// except for the owner and repository segments on forges that ignore their
+// case (`Evil/x` is `evil/x` on GitHub).
+
+// Forge hosts whose namespace segments are case-insensitive, with how many
+// leading segments that is; GitLab's namespace runs up to the `-` segment.
+const FORGE_NAMESPACES = {
+  "github.com": 2,
+  "codeload.github.com": 2,
+  "bitbucket.org": 2,
+  "gitlab.com": "-"
+};
+
+/**
+ * Parse an ALLOW_HOSTS value into rules.
+ *
+ * @param {string} text
+ * @returns {Array<{ source: string, deny: boolean, host: RegExp, path: RegExp | null }>}
+ */
+function parseAllowlist(text) {
+  return String(text)
+    .split(/[,\s]+/)
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map(compileRule)
+    .filter(Boolean);
+}
+
+function compileRule(source) {
+  const deny = source.startsWith("!");
+  const spec = deny ? source.slice(1) : source;
+  const slash = spec.indexOf("/");
+  const hostPattern = (slash < 0 ? spec : spec.slice(0, slash)).toLowerCase();
+  const pathPattern = slash < 0 ? "" : normalizePath(hostPattern, spec.slice(slash));
+  if (!hostPattern) return null;
+
+  const host = hostPattern.startsWith("*.")
+    ? new RegExp(`^(?:[^.]+\\.)+${escapeRegExp(hostPattern.slice(2))}$`)
+    : new RegExp(`^${escapeRegExp(hostPattern)}$`);
+  return { source, deny, host, path: compilePath(pathPattern) };
+}
+
+/**
+ * `*` matches within a segment, `**` across segments. A pattern without
+ * wildcards matches itself and anything below it.
+ */
+function compilePath(pattern) {
+  const trimmed = pattern.replace(/\/+$/, "");
+  if (!trimmed) return null;
+  if (!/[*?]/.test(trimmed)) return new RegExp(`^${escapeRegExp(trimmed)}(?:/.*)?$`);
+
+  let re = "";
+  for (let i = 0; i < trimmed.length; i++) {
+    const c = trimmed[i];
+    if (c === "*" && trimmed[i + 1] === "*") {
+      re += ".*";
+      i++;
+    } else if (c === "*") {
+      re += "[^/]*";
+    } else if (c === "?") {
+      re += "[^/]";
+    } else {
+      re += escapeRegExp(c);
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+/**
+ * Check a URL against the rules. Any matching deny rule refuses it; otherwise
+ * it needs a matching allow rule.
+ *
+ * @param {ReturnType<typeof parseAllowlist>} rules
+ * @param {URL | string} target
+ * @returns {{ ok: true, rule: string } | { ok: false, rule: string | null, reason: string }}
+ */
+function checkAllowlist(rules, target) {
+  let url;
+  try {
+    url = new URL(target);
+  } catch {
+    return { ok: false, rule: null, reason: "invalid URL" };
+  }
+  const host = url.hostname.toLowerCase();
+  const path = normalizePath(host, url.pathname);
+  const matches = (rule) => rule.host.test(host) && (!rule.path || rule.path.test(path));
+
+  const denied = rules.find((rule) => rule.deny && matches(rule));
+  if (denied) {
+    return { ok: false, rule: denied.source, reason: `denied by rule "${denied.source}"` };
+  }
+  const allowed = rules.find((rule) => !rule.deny && matches(rule));
+  if (allowed) return { ok: true, rule: allowed.source };
+  return { ok: false, rule: null, reason: `no rule allows ${host}${path}` };
+}
+
+/**
+ * Put a path (or a rule's path pattern) in the form rules are matched in:
+ * escaped unreserved characters decoded, other escapes in upper case, and a
+ * forge's namespace segments lower-cased.
+ */
+function normalizePath(host, path) {
+  const decoded = path.replace(/%([0-9a-f]{2})/gi, (escape, hex) => {
+    const c = String.fromCharCode(parseInt(hex, 16));
+    return /[A-Za-z0-9\-._~]/.test(c) ? c : escape.toUpperCase();
+  });
+  const namespace = FORGE_NAMESPACES[host];
+  if (!namespace) return decoded;
+
+  const segments = decoded.split("/");
+  // segments[0] is the empty string before the leading slash.
+  const end = namespace === "-" ? segments.indexOf("-") : namespace + 1;
+  const stop = end < 0 ? segments.length : Math.min(end, segments.length);
+  for (let i = 1; i < stop; i++) segments[i] = segments[i].toLowerCase();
+  return segments.join("/");
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+}
+
+export { parseAllowlist, checkAllowlist };
@@ -0,0 +1,87 @@
+import { describe, expect, it } from "vitest";
+import { checkAllowlist, parseAllowlist } from "./allowlist.js";
+
+const check = (rules, url) => checkAllowlist(parseAllowlist(rules), url);
+
+describe("allowlist", () => {
+  it("matches exact hostnames case-insensitively", () => {
+    expect(check("Codeload.GitHub.com", "https://codeload.github.com/a/b/zip/main"))
+      .toEqual({ ok: true, rule: "Codeload.GitHub.com" });
+    expect(check("codeload.github.com", "https://github.com/a/b").ok).toBe(false);
+  });
+
+  it("matches wildcard subdomains but not the apex", () => {
+    const rules = "*.gitlab.io";
+    expect(check(rules, "https://group.gitlab.io/pkg.zip").ok).toBe(true);
+    expect(check(rules, "https://a.b.gitlab.io/pkg.zip").ok).toBe(true);
+    expect(check(rules, "https://gitlab.io/pkg.zip").ok).toBe(false);
+    expect(check(rules, "https://evilgitlab.io/pkg.zip").ok).toBe(false);
+  });
+
+  it("treats a plain path as a prefix of whole segments", () => {
+    const rules = "codeload.github.com/sublimehq";
+    expect(check(rules, "https://codeload.github.com/sublimehq/Packages/zip/master").ok).toBe(true);
+    expect(check(rules, "https://codeload.github.com/sublimehq").ok).toBe(true);
+    expect(check(rules, "https://codeload.github.com/sublimehqx/Packages/zip/master").ok).toBe(false);
+  });
+
+  it("matches path globs with * inside a segment and ** across segments", () => {
+    expect(check("codeload.github.com/*/MaxPane/**", "https://codeload.github.com/jisaacks/MaxPane/zip/master").ok)
+      .toBe(true);
+    expect(check("codeload.github.com/*/MaxPane", "https://codeload.github.com/jisaacks/MaxPane/zip/master").ok)
+      .toBe(false);
+  });
+
+  it("lets deny rules win and names the deciding rule", () => {
+    const rules = "codeload.github.com, !codeload.github.com/evil";
+    expect(check(rules, "https://codeload.github.com/good/pkg/zip/main").ok).toBe(true);
+    expect(check(rules, "https://codeload.github.com/evil/pkg/zip/main")).toEqual({
+      ok: false,
+      rule: "!codeload.github.com/evil",
+      reason: 'denied by rule "!codeload.github.com/evil"'
+    });
+    expect(check(rules, "https://gitlab.com/x/y")).toEqual({
+      ok: false,
+      rule: null,
+      reason: "no rule allows gitlab.com/x/y"
+    });
+  });
+
+  it("applies deny rules to forge owners in any case", () => {
+    const rules = "codeload.github.com, !codeload.github.com/evil";
+    expect(check(rules, "https://codeload.github.com/Evil/x/zip/main")).toMatchObject({
+      ok: false,
+      rule: "!codeload.github.com/evil"
+    });
+    expect(check("!CodeLoad.github.com/EVIL, codeload.github.com", "https://codeload.github.com/evil/x/zip/main").ok)
+      .toBe(false);
+    expect(check("gitlab.com, !gitlab.com/group/evil", "https://gitlab.com/Group/Evil/-/archive/main/x.zip").ok)
+      .toBe(false);
+  });
+
+  it("keeps paths outside forge namespaces case-sensitive", () => {
+    expect(check("codeload.github.com/*/*/zip/main", "https://codeload.github.com/a/b/zip/Main").ok).toBe(false);
+    expect(check("example.com/Packages", "https://example.com/packages/x.zip").ok).toBe(false);
+  });
+
+  it("decodes escaped unreserved characters before matching", () => {
+    const rules = "codeload.github.com, !codeload.github.com/evil";
+    expect(check(rules, "https://codeload.github.com/%65vil/x/zip/main")).toMatchObject({
+      ok: false,
+      rule: "!codeload.github.com/evil"
+    });
+    expect(check(rules, "https://codeload.github.com/%45%56il/x/zip/main").ok).toBe(false);
+    expect(check("example.com/a%2fb", "https://example.com/a%2Fb/x.zip").ok).toBe(true);
+    expect(check("example.com/a", "https://example.com/a%2Fb/x.zip").ok).toBe(false);
+  });
+
+  it("matches the documented owner glob against archive URLs", () => {
+    expect(check("codeload.github.com/sublimehq/**", "https://codeload.github.com/sublimehq/Packages/zip/master").ok)
+      .toBe(true);
+  });
+
+  it("accepts whitespace and newlines between rules", () => {
+    const rules = parseAllowlist("codeload.github.com\n  *.gitlab.io ,, bitbucket.org");
+    expect(rules.map((r) => r.source)).toEqual(["codeload.github.com", "*.gitlab.io", "bitbucket.org"]);
+  });
+});
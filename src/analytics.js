@@ -0,0 +1,244 @@
+// Request analytics: one Workers Analytics Engine data point per package
+// request (ANALYTICS binding), summarized by /stats.json through the
+// Analytics Engine SQL API.
+//
+// Data point layout, which the SQL below relies on:
+//   blob1 package name   blob2 upstream host   blob3 decision path   blob4 error code
+//   blob5 served extension (sublime-package or zip, from the marker check)
+//   double1 status       double2 input bytes   double3 output bytes  double4 duration (ms)
+//   index1 upstream host
+
+import { errorResponse } from "./errors.js";
+
+const DEFAULT_DATASET = "repackager_requests";
+const DEFAULT_HOURS = 24;
+const MAX_HOURS = 24 * 90;   // Analytics Engine keeps three months
+const TOP_PACKAGES = 20;
+// Paths that replay an earlier build rather than decide anything.
+const REPLAYED_PATHS = ["cache-hit", "store-hit", "coalesced"];
+
+/**
+ * Write the data point for a finished package request. Missing or failing
+ * bindings are ignored: analytics must never fail a request.
+ *
+ * @param {Record<string, any> | undefined} env
+ * @param {{
+ *   name: string | null | undefined,
+ *   remoteUrl: string,
+ *   response: Response,
+ *   inputBytes: number | null,
+ *   outputBytes: number | null,
+ *   duration: number
+ * }} point
+ */
+function recordRequest(env, { name, remoteUrl, response, inputBytes, outputBytes, duration }) {
+  const dataset = env?.ANALYTICS;
+  if (!dataset) return;
+
+  const host = upstreamHost(remoteUrl);
+  const output = outputBytes ?? contentLength(response);
+  try {
+    dataset.writeDataPoint({
+      blobs: [
+        name || "Package",
+        host,
+        decisionPath(response),
+        response.headers.get("X-Error-Code") || "",
+        packageExtension(response) || ""
+      ],
+      doubles: [response.status, inputBytes ?? 0, output ?? 0, duration],
+      indexes: [host]
+    });
+  } catch {
+    // writeDataPoint() throws only on malformed points or a broken binding.
+  }
+}
+
+/**
+ * The path a request took, from the metrics the pipeline adds to
+ * Server-Timing: `cache-hit`, `store-hit`, `coalesced`, the served path
+ * (`flatten-lossless`, `passthru-notzip`, ...), the redirect or refusal reason
+ * (`size>hard`, `unsafe-archive`, ...) or `error`.
+ */
+function decisionPath(response) {
+  const metrics = {};
+  for (const metric of (response.headers.get("Server-Timing") || "").split(",")) {
+    const [key, ...params] = metric.trim().split(";");
+    const desc = params.find((p) => p.trim().startsWith("desc="));
+    if (key && desc) metrics[key] = desc.trim().slice(5);
+  }
+  if (metrics.cache === "hit") return "cache-hit";
+  if (metrics.store === "hit") return "store-hit";
+  if (metrics.coalesce === "hit") return "coalesced";
+  return metrics.path || metrics.reason || (response.ok ? "unknown" : "error");
+}
+
+/**
+ * The extension a package response is served with (`sublime-package` or
+ * `zip`), from its Content-Disposition filename; null for anything else.
+ */
+function packageExtension(response) {
+  const filename = (response.headers.get("Content-Disposition") || "").match(/filename="[^"]*?\.(sublime-package|zip)"/);
+  return filename?.[1] ?? null;
+}
+
+/**
+ * GET /stats.json[?hours=N]: request counts, bytes and mean duration per
+ * decision path, and the most requested packages, over the last N hours
+ * (default 24). Needs ANALYTICS_ACCOUNT_ID and an ANALYTICS_API_TOKEN secret
+ * with Account Analytics: Read.
+ *
+ * The route is public, so each summary is kept in the edge cache for its
+ * max-age (one entry per window) and the SQL API is queried at most once a
+ * minute per window and colo.
+ *
+ * @param {Request} request
+ * @param {Record<string, any> | undefined} env
+ * @param {ExecutionContext} ctx
+ */
+async function handleStatsRequest(request, env, ctx) {
+  const url = new URL(request.url);
+  if (!env?.ANALYTICS_ACCOUNT_ID || !env?.ANALYTICS_API_TOKEN) {
+    return errorResponse(request, { status: 501, code: "stats_not_configured", message: "Stats not configured" });
+  }
+  const dataset = env.ANALYTICS_DATASET || DEFAULT_DATASET;
+  if (!/^\w+$/.test(dataset)) {
+    return errorResponse(request, { status: 500, code: "stats_not_configured", message: "Invalid ANALYTICS_DATASET" });
+  }
+
+  const requested = Number(url.searchParams.get("hours") || DEFAULT_HOURS);
+  const hours = Number.isInteger(requested) && requested > 0 ? Math.min(requested, MAX_HOURS) : DEFAULT_HOURS;
+  const since = `timestamp > NOW() - INTERVAL '${hours}' HOUR`;
+
+  const cache = caches.default;
+  const cacheKey = new Request(new URL(`/stats.json?hours=${hours}`, url));
+  const cached = await cache.match(cacheKey);
+  if (cached) return cached;
+
+  let paths;
+  let packages;
+  try {
+    [paths, packages] = await Promise.all([
+      querySql(env, `
+        SELECT blob3 AS path,
+               SUM(_sample_interval) AS requests,
+               SUM(_sample_interval * double2) AS inputBytes,
+               SUM(_sample_interval * double3) AS outputBytes,
+               SUM(_sample_interval * double4) / SUM(_sample_interval) AS meanDurationMs
+        FROM ${dataset}
+        WHERE ${since}
+        GROUP BY path
+        ORDER BY requests DESC`),
+      querySql(env, `
+        SELECT blob1 AS name, SUM(_sample_interval) AS requests
+        FROM ${dataset}
+        WHERE ${since}
+        GROUP BY name
+        ORDER BY requests DESC
+        LIMIT ${TOP_PACKAGES}`)
+    ]);
+  } catch (e) {
+    return errorResponse(request, {
+      status: 502,
+      code: "stats_unavailable",
+      message: `Analytics query failed: ${e.message}`
+    });
+  }
+
+  const byPath = paths.map((row) => ({
+    path: row.path,
+    requests: Number(row.requests),
+    inputBytes: Number(row.inputBytes),
+    outputBytes: Number(row.outputBytes),
+    meanDurationMs: Math.round(Number(row.meanDurationMs))
+  }));
+  const body = {
+    hours,
+    requests: byPath.reduce((sum, row) => sum + row.requests, 0),
+    paths: byPath,
+    packages: packages.map((row) => ({ name: row.name, requests: Number(row.requests) }))
+  };
+  const response = new Response(JSON.stringify(body, null, 2), {
+    headers: {
+      "Content-Type": "application/json; charset=utf-8",
+      "Cache-Control": "public, max-age=60",
+      "Access-Control-Allow-Origin": "*"
+    }
+  });
+  ctx.waitUntil(cache.put(cacheKey, response.clone()));
+  return response;
+}
+
+/**
+ * The most recent decision for a package within the last 30 days, as
+ * `{ path, status, error, extension, at }` (`at` an ISO timestamp), or null
+ * when there is none or /stats.json is not configured. Cache hits, store hits
+ * and coalesced requests replay an earlier build, so they are skipped.
+ * Never throws.
+ *
+ * @param {Record<string, any> | undefined} env
+ * @param {string} name
+ */
+async function lastDecision(env, name) {
+  const dataset = env?.ANALYTICS_DATASET || DEFAULT_DATASET;
+  if (!env?.ANALYTICS_ACCOUNT_ID || !env?.ANALYTICS_API_TOKEN || !/^\w+$/.test(dataset)) return null;
+
+  let rows;
+  try {
+    rows = await querySql(env, `
+      SELECT blob3 AS path, blob4 AS error, blob5 AS extension, double1 AS status, timestamp
+      FROM ${dataset}
+      WHERE blob1 = '${name.replace(/[\\']/g, "\\$&")}'
+        AND blob3 NOT IN (${REPLAYED_PATHS.map((path) => `'${path}'`).join(", ")})
+        AND timestamp > NOW() - INTERVAL '30' DAY
+      ORDER BY timestamp DESC
+      LIMIT 1`);
+  } catch {
+    return null;
+  }
+  const [row] = rows;
+  if (!row) return null;
+  return {
+    path: row.path,
+    status: Number(row.status),
+    error: row.error || null,
+    extension: row.extension || null,
+    at: sqlTimestamp(row.timestamp)
+  };
+}
+
+// The SQL API reports DateTime columns as "YYYY-MM-DD hh:mm:ss" in UTC.
+function sqlTimestamp(value) {
+  const text = String(value ?? "");
+  const time = Date.parse(/[zZ]|[+-]\d\d:?\d\d$/.test(text) ? text : `${text.replace(" ", "T")}Z`);
+  return Number.isFinite(time) ? new Date(time).toISOString() : null;
+}
+
+async function querySql(env, sql) {
+  const res = await fetch(
+    `https://api.cloudflare.com/client/v4/accounts/${env.ANALYTICS_ACCOUNT_ID}/analytics_engine/sql`,
+    {
+      method: "POST",
+      headers: { Authorization: `Bearer ${env.ANALYTICS_API_TOKEN}` },
+      body: `${sql.trim()} FORMAT JSON`
+    }
+  );
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const { data } = await res.json();
+  return data || [];
+}
+
+function upstreamHost(remoteUrl) {
+  try {
+    return new URL(remoteUrl).hostname.toLowerCase();
+  } catch {
+    return "";
+  }
+}
+
+function contentLength(response) {
+  const len = response.headers.get("Content-Length");
+  return len === null ? null : Number(len);
+}
+
+export { recordRequest, decisionPath, packageExtension, handleStatsRequest, lastDecision };
@@ -0,0 +1,147 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { decisionPath, handleStatsRequest, recordRequest } from "./analytics.js";
+
+function responseWithTiming(timing, init = {}) {
+  return new Response(null, { status: 200, ...init, headers: { "Server-Timing": timing, ...init.headers } });
+}
+
+describe("decisionPath", () => {
+  it.each([
+    ["cache;desc=hit", "cache-hit"],
+    ["store;desc=hit", "store-hit"],
+    ["path;desc=flatten-lossless, coalesce;desc=hit", "coalesced"],
+    ["toc;desc=range, path;desc=flatten-lossless", "flatten-lossless"],
+    ["path;desc=passthru-notzip, redirect;desc=1", "passthru-notzip"],
+    ["reason;desc=size>hard", "size>hard"],
+    ["", "unknown"]
+  ])("maps %j to %s", (timing, path) => {
+    expect(decisionPath(responseWithTiming(timing))).toBe(path);
+  });
+
+  it("reports plain errors as error", () => {
+    expect(decisionPath(new Response("x", { status: 403 }))).toBe("error");
+  });
+});
+
+describe("recordRequest", () => {
+  it("writes one data point per request", () => {
+    const ANALYTICS = { writeDataPoint: vi.fn() };
+    recordRequest({ ANALYTICS }, {
+      name: "MaxPane",
+      remoteUrl: "https://codeload.github.com/jisaacks/MaxPane/zip/master",
+      response: responseWithTiming("path;desc=flatten-lossless"),
+      inputBytes: 1000,
+      outputBytes: 900,
+      duration: 12
+    });
+
+    expect(ANALYTICS.writeDataPoint).toHaveBeenCalledWith({
+      blobs: ["MaxPane", "codeload.github.com", "flatten-lossless", "", ""],
+      doubles: [200, 1000, 900, 12],
+      indexes: ["codeload.github.com"]
+    });
+  });
+
+  it("records error codes and never throws", () => {
+    const ANALYTICS = { writeDataPoint: vi.fn(() => { throw new Error("broken"); }) };
+    const response = new Response("no", { status: 403, headers: { "X-Error-Code": "host_not_allowed" } });
+    expect(() => recordRequest({ ANALYTICS }, {
+      name: null, remoteUrl: "not a url", response, inputBytes: null, outputBytes: null, duration: 0
+    })).not.toThrow();
+    expect(ANALYTICS.writeDataPoint.mock.calls[0][0].blobs).toEqual(["Package", "", "error", "host_not_allowed", ""]);
+  });
+
+  it("records the extension a package is served with", () => {
+    const ANALYTICS = { writeDataPoint: vi.fn() };
+    const response = responseWithTiming("path;desc=original-structure", {
+      headers: { "Content-Disposition": 'attachment; filename="MaxPane.sublime-package"' }
+    });
+    recordRequest({ ANALYTICS }, {
+      name: "MaxPane", remoteUrl: "https://example.com/x.zip", response, inputBytes: 1, outputBytes: 1, duration: 1
+    });
+    expect(ANALYTICS.writeDataPoint.mock.calls[0][0].blobs[4]).toBe("sublime-package");
+  });
+
+  it("does nothing without the binding", () => {
+    expect(() => recordRequest({}, { response: new Response(null) })).not.toThrow();
+  });
+});
+
+describe("handleStatsRequest", () => {
+  const originalFetch = globalThis.fetch;
+  const originalCaches = globalThis.caches;
+  const env = { ANALYTICS_ACCOUNT_ID: "acc", ANALYTICS_API_TOKEN: "tok" };
+  const ctx = { waitUntil: vi.fn() };
+  let cached;
+
+  beforeEach(() => {
+    cached = new Map();
+    globalThis.caches = {
+      default: {
+        match: vi.fn(async (key) => cached.get(key.url)?.clone()),
+        put: vi.fn(async (key, response) => { cached.set(key.url, response); })
+      }
+    };
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+    globalThis.caches = originalCaches;
+  });
+
+  it("is not available without the SQL API credentials", async () => {
+    const response = await handleStatsRequest(new Request("https://worker.example/stats.json"), {}, ctx);
+    expect(response.status).toBe(501);
+    expect(response.headers.get("X-Error-Code")).toBe("stats_not_configured");
+  });
+
+  it("summarizes paths and packages over the requested window", async () => {
+    globalThis.fetch = vi.fn(async (url, init) => {
+      const data = init.body.includes("blob3")
+        ? [
+          { path: "cache-hit", requests: "30", inputBytes: 0, outputBytes: "3000", meanDurationMs: 1.2 },
+          { path: "flatten-lossless", requests: "10", inputBytes: "5000", outputBytes: "4000", meanDurationMs: 80.6 }
+        ]
+        : [{ name: "MaxPane", requests: "25" }];
+      return Response.json({ data });
+    });
+
+    const response = await handleStatsRequest(new Request("https://worker.example/stats.json?hours=6"), env, ctx);
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({
+      hours: 6,
+      requests: 40,
+      paths: [
+        { path: "cache-hit", requests: 30, inputBytes: 0, outputBytes: 3000, meanDurationMs: 1 },
+        { path: "flatten-lossless", requests: 10, inputBytes: 5000, outputBytes: 4000, meanDurationMs: 81 }
+      ],
+      packages: [{ name: "MaxPane", requests: 25 }]
+    });
+    const [url, init] = globalThis.fetch.mock.calls[0];
+    expect(url).toBe("https://api.cloudflare.com/client/v4/accounts/acc/analytics_engine/sql");
+    expect(init.headers.Authorization).toBe("Bearer tok");
+    expect(init.body).toContain("FROM repackager_requests");
+    expect(init.body).toContain("INTERVAL '6' HOUR");
+    expect(init.body).toMatch(/FORMAT JSON$/);
+  });
+
+  it("answers repeated requests for a window from the edge cache", async () => {
+    globalThis.fetch = vi.fn(async () => Response.json({ data: [] }));
+
+    const first = await handleStatsRequest(new Request("https://worker.example/stats.json?hours=6&x=1"), env, ctx);
+    await Promise.all(ctx.waitUntil.mock.calls.map(([p]) => p));
+    const second = await handleStatsRequest(new Request("https://worker.example/stats.json?hours=6"), env, ctx);
+
+    expect(globalThis.fetch).toHaveBeenCalledTimes(2);
+    expect(await second.json()).toEqual(await first.json());
+    expect([...cached.keys()]).toEqual(["https://worker.example/stats.json?hours=6"]);
+  });
+
+  it("reports a failing SQL API as 502", async () => {
+    globalThis.fetch = vi.fn(async () => new Response("denied", { status: 403 }));
+    const response = await handleStatsRequest(new Request("https://worker.example/stats.json"), env, ctx);
+    expect(response.status).toBe(502);
+    expect(await response.text()).toBe("Analytics query failed: HTTP 403");
+  });
+});
@@ -0,0 +1,184 @@
+// Second cache tier behind `caches.default`: rebuilt packages kept in an R2
+// bucket, addressed by the upstream URL plus the upstream version (a commit
+// pinned in the URL, or the origin's strong ETag), so they survive colo
+// evictions and are shared between colos.
+
+const KEY_PREFIX = "packages/";
+
+// Newest-first index of stored artifacts for the admin API, capped so that
+// listing never walks the bucket. Kept outside KEY_PREFIX.
+const RECENT_KEY = "index/recent.json";
+const RECENT_LIMIT = 200;
+
+// Response headers persisted with an artifact and restored on a hit.
+const STORED_HEADERS = ["ETag", "Digest", "Content-Digest"];
+
+/**
+ * Wrap an R2 bucket binding. Returns null when the binding is not configured,
+ * so callers can skip the tier entirely.
+ *
+ * Each artifact records the edge cache key it was built for, its upstream URL
+ * and version, which is what `list()` reports for the admin API from the
+ * recent-keys index (the last RECENT_LIMIT puts). `put()`
+ * takes the package bytes or a stream of known length (a FixedLengthStream
+ * in Workers), so a build never has to hold its output.
+ *
+ * @param {R2Bucket | undefined} bucket
+ * @returns {{
+ *   get(key: string): Promise<Response | null>,
+ *   put(key: string, body: Uint8Array | ReadableStream, headers: Headers, source: ArtifactSource): Promise<void>,
+ *   list(options?: { limit?: number }): Promise<Array<ArtifactSource & { key: string, size: number, uploaded: string | null }>>,
+ *   deleteUpstream(remoteUrl: string): Promise<string[]>
+ * } | null}
+ *
+ * @typedef {{ cacheKey: string, remoteUrl: string, version: string }} ArtifactSource
+ */
+function createArtifactStore(bucket) {
+  if (!bucket) return null;
+
+  async function get(key) {
+    let object;
+    try {
+      object = await bucket.get(key);
+    } catch {
+      return null;   // a store outage must never fail the request
+    }
+    if (!object) return null;
+
+    const headers = new Headers();
+    const http = object.httpMetadata || {};
+    if (http.contentType) headers.set("Content-Type", http.contentType);
+    if (http.contentDisposition) headers.set("Content-Disposition", http.contentDisposition);
+    if (http.cacheControl) headers.set("Cache-Control", http.cacheControl);
+    for (const name of STORED_HEADERS) {
+      const value = object.customMetadata?.[name];
+      if (value) headers.set(name, value);
+    }
+    return new Response(object.body, { headers });
+  }
+
+  async function put(key, body, headers, source) {
+    const customMetadata = { ...source };
+    for (const name of STORED_HEADERS) {
+      const value = headers.get(name);
+      if (value) customMetadata[name] = value;
+    }
+    let stored;
+    try {
+      stored = await bucket.put(key, body, {
+        httpMetadata: {
+          contentType: headers.get("Content-Type") || undefined,
+          contentDisposition: headers.get("Content-Disposition") || undefined,
+          cacheControl: headers.get("Cache-Control") || undefined
+        },
+        customMetadata
+      });
+    } catch {
+      // Best effort: the edge cache still holds the response. Release a
+      // stream that was not read, or its tee would keep buffering.
+      if (body instanceof ReadableStream) body.cancel().catch(() => {});
+      return;
+    }
+
+    const entry = {
+      key,
+      cacheKey: source?.cacheKey || null,
+      remoteUrl: source?.remoteUrl || null,
+      version: source?.version || null,
+      size: stored?.size ?? (body instanceof ReadableStream ? null : body.byteLength),
+      uploaded: new Date(stored?.uploaded ?? Date.now()).toISOString()
+    };
+    await updateRecent((entries) => [entry, ...entries.filter((e) => e.key !== key)]);
+  }
+
+  /**
+   * The most recently stored artifacts, newest first, read from the
+   * recent-keys index. Concurrent puts may drop each other's entry from the
+   * index, so this is a view for operators, not an inventory of the bucket.
+   */
+  async function list({ limit = 50 } = {}) {
+    return (await readRecent()).slice(0, limit);
+  }
+
+  async function readRecent() {
+    const object = await bucket.get(RECENT_KEY);
+    if (!object) return [];
+    try {
+      const entries = await new Response(object.body).json();
+      return Array.isArray(entries) ? entries : [];
+    } catch {
+      return [];
+    }
+  }
+
+  async function updateRecent(update) {
+    try {
+      const entries = update(await readRecent()).slice(0, RECENT_LIMIT);
+      await bucket.put(RECENT_KEY, JSON.stringify(entries), {
+        httpMetadata: { contentType: "application/json" }
+      });
+    } catch {
+      // Best effort, like the artifact itself.
+    }
+  }
+
+  /**
+   * Delete every artifact built from `remoteUrl` (all versions and variants).
+   * Returns the deleted keys.
+   */
+  async function deleteUpstream(remoteUrl) {
+    const prefix = `${KEY_PREFIX}${await sha256Hex(remoteUrl)}/`;
+    const keys = [];
+    let cursor;
+    do {
+      const page = await bucket.list({ prefix, cursor });
+      keys.push(...page.objects.map((object) => object.key));
+      cursor = page.truncated ? page.cursor : undefined;
+    } while (cursor);
+
+    if (keys.length) {
+      await bucket.delete(keys);
+      await updateRecent((entries) => entries.filter((e) => !keys.includes(e.key)));
+    }
+    return keys;
+  }
+
+  return { get, put, list, deleteUpstream };
+}
+
+/**
+ * The upstream version an artifact is built from: a 40-hex commit in the URL
+ * path (known before any upstream request), else the strong ETag of the HEAD
+ * response. Null when neither pins the bytes, in which case nothing is stored.
+ *
+ * @param {string} remoteUrl
+ * @param {Response} [head]
+ * @returns {string | null}
+ */
+function artifactVersion(remoteUrl, head) {
+  let path = "";
+  try { path = new URL(remoteUrl).pathname; } catch {}
+  const commit = path.split("/").find((segment) => /^[0-9a-f]{40}$/i.test(segment));
+  if (commit) return `commit:${commit.toLowerCase()}`;
+
+  const etag = head?.ok ? head.headers.get("etag") : null;
+  if (etag && !/^W\//i.test(etag.trim())) return `etag:${etag.trim()}`;
+  return null;
+}
+
+/**
+ * Content address of an artifact: upstream URL and version, plus whatever else
+ * shapes the served bytes (`variant`, e.g. package name and metadata). Keys
+ * are grouped by upstream URL so all of its artifacts can be purged at once.
+ */
+async function artifactKey(remoteUrl, version, variant) {
+  const identity = JSON.stringify([version, variant]);
+  return `${KEY_PREFIX}${await sha256Hex(remoteUrl)}/${await sha256Hex(identity)}`;
+}
+
+async function sha256Hex(text) {
+  const hash = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(hash), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+export { createArtifactStore, artifactVersion, artifactKey };
@@ -0,0 +1,69 @@
+import { describe, expect, it } from "vitest";
+import { artifactKey, artifactVersion, createArtifactStore } from "./artifact-store.js";
+
+const sha = "ae6249d986870584d4ef603c2e92918b3a0a92a2";
+
+describe("artifactVersion", () => {
+  it("prefers a commit pinned in the URL path", () => {
+    const head = new Response(null, { headers: { ETag: '"abc"' } });
+    expect(artifactVersion(`https://codeload.github.com/a/b/zip/${sha.toUpperCase()}`, head))
+      .toBe(`commit:${sha}`);
+  });
+
+  it("falls back to the strong ETag of the HEAD response", () => {
+    const url = "https://codeload.github.com/a/b/zip/main";
+    expect(artifactVersion(url, new Response(null, { headers: { ETag: '"abc"' } }))).toBe('etag:"abc"');
+    expect(artifactVersion(url, new Response(null, { headers: { ETag: 'W/"abc"' } }))).toBeNull();
+    expect(artifactVersion(url, new Response(null, { status: 404, headers: { ETag: '"abc"' } }))).toBeNull();
+    expect(artifactVersion(url)).toBeNull();
+  });
+});
+
+describe("artifactKey", () => {
+  it("is stable and distinguishes version and variant", async () => {
+    const url = "https://codeload.github.com/a/b/zip/main";
+    const key = await artifactKey(url, 'etag:"1"', { name: "B" });
+    expect(key).toMatch(/^packages\/[0-9a-f]{64}\/[0-9a-f]{64}$/);
+    expect(await artifactKey(url, 'etag:"1"', { name: "B" })).toBe(key);
+    expect(await artifactKey(url, 'etag:"2"', { name: "B" })).not.toBe(key);
+    expect(await artifactKey(url, 'etag:"1"', { name: "C" })).not.toBe(key);
+  });
+});
+
+describe("createArtifactStore", () => {
+  it("returns null without a bucket binding", () => {
+    expect(createArtifactStore(undefined)).toBeNull();
+  });
+
+  it("treats bucket failures as misses", async () => {
+    const store = createArtifactStore({
+      get: async () => { throw new Error("down"); },
+      put: async () => { throw new Error("down"); }
+    });
+    expect(await store.get("packages/x")).toBeNull();
+    await expect(store.put("packages/x", new Uint8Array(1), new Headers())).resolves.toBeUndefined();
+  });
+
+  it("lists the newest artifacts from its index without walking the bucket", async () => {
+    const objects = new Map();
+    const store = createArtifactStore({
+      get: async (key) => objects.has(key) ? { body: new Blob([objects.get(key)]).stream() } : null,
+      put: async (key, value) => {
+        objects.set(key, value);
+        return { key, size: value.length, uploaded: new Date("2025-01-01T00:00:00Z") };
+      },
+      list: async () => { throw new Error("list() should not be called"); }
+    });
+    const source = (n) => ({ cacheKey: `https://w/packages/${n}`, remoteUrl: `https://u/${n}`, version: `etag:"${n}"` });
+
+    await store.put("packages/a", new Uint8Array(3), new Headers(), source("a"));
+    await store.put("packages/b", new Uint8Array(5), new Headers(), source("b"));
+    await store.put("packages/a", new Uint8Array(4), new Headers(), source("a"));
+
+    expect(await store.list()).toEqual([
+      { key: "packages/a", ...source("a"), size: 4, uploaded: "2025-01-01T00:00:00.000Z" },
+      { key: "packages/b", ...source("b"), size: 5, uploaded: "2025-01-01T00:00:00.000Z" }
+    ]);
+    expect(await store.list({ limit: 1 })).toHaveLength(1);
+  });
+});
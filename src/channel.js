@@ -0,0 +1,137 @@
+// /channel.json?url=: serve a Package Control channel or repository file with
+// every package release pointed at this worker, so a client configured with
+// the rewritten channel installs flattened packages without other changes.
+
+import { clientCacheIsFresh, shortCacheHeaders } from "./http.js";
+import { errorResponse } from "./errors.js";
+import { fetchUpstream, readLimited, unreachableError, upstreamStatusError, validateUrl } from "./upstream.js";
+
+const SCHEMA_VERSIONS = new Set(["3.0.0", "4.0.0"]);
+const DEFAULT_CHANNEL_HOSTS = "packagecontrol.io,raw.githubusercontent.com";
+
+/**
+ * Allowlist rules for channel and repository files (CHANNEL_ALLOW_HOSTS).
+ * Kept apart from ALLOW_HOSTS so that hosts serving channel JSON do not
+ * become package sources for /packages?url=.
+ */
+function channelHosts(env) {
+  return env?.CHANNEL_ALLOW_HOSTS || DEFAULT_CHANNEL_HOSTS;
+}
+
+/**
+ * Fetch a channel or repository JSON file allowed by CHANNEL_ALLOW_HOSTS (schema 3.0.0 or
+ * 4.0.0, at most MAX_CHANNEL_BYTES, default 50 MB) and rewrite it (see
+ * rewriteChannel). Served with the /logs.json cache and CORS headers; the
+ * upstream ETag is kept as a weak validator of the rewritten body.
+ *
+ * @param {{ request: Request, env: Record<string, any>, url: URL }} args
+ */
+async function handleChannelRequest({ request, env, url }) {
+  const remoteUrl = url.searchParams.get("url");
+  if (!remoteUrl) return errorResponse(request, { status: 400, code: "missing_url", message: "Missing ?url" });
+  const allowHosts = channelHosts(env);
+  const validation = validateUrl(remoteUrl, env, allowHosts);
+  if (!validation.ok) return errorResponse(request, validation);
+
+  const upstream = { env, allowHosts, redirects: [], attempts: [] };
+  let got;
+  try {
+    got = await fetchUpstream(remoteUrl, { cf: { cacheTtl: 10, cacheEverything: true } }, upstream);
+  } catch (e) {
+    return errorResponse(request, unreachableError(remoteUrl, e));
+  }
+  if (!got.ok) return errorResponse(request, got);
+  if (!got.res.ok) return errorResponse(request, upstreamStatusError(got.res));
+
+  let limited;
+  try {
+    limited = await readLimited(got.res, Number(env?.MAX_CHANNEL_BYTES || 50_000_000));
+  } catch (e) {
+    return errorResponse(request, unreachableError(remoteUrl, e));
+  }
+  if (!limited.ok) return errorResponse(request, { ...limited, message: "Channel file too large" });
+
+  let doc;
+  try {
+    doc = JSON.parse(new TextDecoder("utf-8").decode(limited.body));
+  } catch {
+    return errorResponse(request, { status: 502, code: "invalid_channel", message: "Upstream file is not valid JSON" });
+  }
+  if (!doc || typeof doc !== "object" || !SCHEMA_VERSIONS.has(String(doc.schema_version))) {
+    return errorResponse(request, {
+      status: 422,
+      code: "unsupported_schema",
+      message: `Unsupported schema_version ${JSON.stringify(doc?.schema_version ?? null)} (expected 3.0.0 or 4.0.0)`
+    });
+  }
+
+  const rewritten = rewriteChannel(doc, { baseUrl: got.url, origin: url.origin, env });
+
+  const headers = shortCacheHeaders(got.res.headers, 200);
+  headers.delete("Content-Encoding");
+  const etag = got.res.headers.get("ETag");
+  if (etag) headers.set("ETag", `W/${etag.replace(/^W\//i, "")}`);
+  headers.set("X-Rewritten-Releases", String(rewritten));
+  if (clientCacheIsFresh(request.headers, headers)) {
+    return new Response(null, { status: 304, headers });
+  }
+  return new Response(JSON.stringify(doc), { headers });
+}
+
+/**
+ * Rewrite a parsed channel or repository document in place and return the
+ * number of releases rewritten.
+ *
+ * - Package releases (`packages[]` in a repository, `packages_cache` in a
+ *   channel) get `url` = /packages/<name>?url=<original>.
+ * - Nested repository files (`includes`, channel `repositories`) go through
+ *   /channel.json?url= as well, and the channel's `*_cache` keys follow them
+ *   so Package Control still finds its cached copies.
+ *
+ * Only URLs the worker would accept are rewritten: releases must pass
+ * ALLOW_HOSTS and nested files CHANNEL_ALLOW_HOSTS. Anything else (including
+ * libraries, whose archives have their own layout) is left as published.
+ * Relative URLs resolve against the file's own URL.
+ */
+function rewriteChannel(doc, { baseUrl, origin, env }) {
+  const accepted = (href, allowHosts) => {
+    let absolute;
+    try {
+      absolute = new URL(href, baseUrl).toString();
+    } catch {
+      return null;
+    }
+    return validateUrl(absolute, env, allowHosts).ok ? absolute : null;
+  };
+
+  let count = 0;
+  const rewritePackages = (packages) => {
+    if (!Array.isArray(packages)) return;
+    for (const pkg of packages) {
+      if (!pkg || typeof pkg.name !== "string" || !Array.isArray(pkg.releases)) continue;
+      for (const release of pkg.releases) {
+        const source = typeof release?.url === "string" && accepted(release.url);
+        if (!source) continue;
+        release.url = `${origin}/packages/${encodeURIComponent(pkg.name)}?url=${encodeURIComponent(source)}`;
+        count++;
+      }
+    }
+  };
+  const rewriteFile = (href) => {
+    const source = typeof href === "string" && accepted(href, channelHosts(env));
+    return source ? `${origin}/channel.json?url=${encodeURIComponent(source)}` : href;
+  };
+
+  rewritePackages(doc.packages);
+  for (const packages of Object.values(doc.packages_cache || {})) rewritePackages(packages);
+  if (Array.isArray(doc.includes)) doc.includes = doc.includes.map(rewriteFile);
+  if (Array.isArray(doc.repositories)) doc.repositories = doc.repositories.map(rewriteFile);
+  for (const key of ["packages_cache", "libraries_cache", "dependencies_cache"]) {
+    if (doc[key] && typeof doc[key] === "object") {
+      doc[key] = Object.fromEntries(Object.entries(doc[key]).map(([repo, list]) => [rewriteFile(repo), list]));
+    }
+  }
+  return count;
+}
+
+export { handleChannelRequest, rewriteChannel };
@@ -0,0 +1,81 @@
+import { describe, expect, it } from "vitest";
+import { rewriteChannel } from "./channel.js";
+
+const origin = "https://repackager.example";
+const env = { ALLOW_HOSTS: "codeload.github.com", CHANNEL_ALLOW_HOSTS: "raw.githubusercontent.com" };
+const packageUrl = (name, url) => `${origin}/packages/${encodeURIComponent(name)}?url=${encodeURIComponent(url)}`;
+const channelUrl = (url) => `${origin}/channel.json?url=${encodeURIComponent(url)}`;
+
+describe("rewriteChannel", () => {
+  it("points repository releases and includes at the worker", () => {
+    const base = "https://raw.githubusercontent.com/owner/repo/main/repository.json";
+    const doc = {
+      schema_version: "4.0.0",
+      packages: [
+        {
+          name: "Max Pane",
+          releases: [
+            { version: "1.0.0", url: "https://codeload.github.com/jisaacks/MaxPane/zip/1.0.0", sublime_text: "*" },
+            { version: "0.9.0", url: "https://example.com/MaxPane-0.9.0.zip", sublime_text: "*" },
+            { base: "https://github.com/jisaacks/MaxPane", tags: true }
+          ]
+        },
+        { details: "https://github.com/owner/NoName", releases: [{ url: "https://codeload.github.com/owner/NoName/zip/1" }] }
+      ],
+      libraries: [
+        { name: "lib", releases: [{ url: "https://codeload.github.com/owner/lib/zip/1.0.0", python_versions: ["3.8"] }] }
+      ],
+      includes: ["./more.json", "https://example.com/other.json"]
+    };
+
+    expect(rewriteChannel(doc, { baseUrl: base, origin, env })).toBe(1);
+    expect(doc.packages[0].releases).toEqual([
+      {
+        version: "1.0.0",
+        url: packageUrl("Max Pane", "https://codeload.github.com/jisaacks/MaxPane/zip/1.0.0"),
+        sublime_text: "*"
+      },
+      { version: "0.9.0", url: "https://example.com/MaxPane-0.9.0.zip", sublime_text: "*" },
+      { base: "https://github.com/jisaacks/MaxPane", tags: true }
+    ]);
+    expect(doc.packages[1].releases[0].url).toBe("https://codeload.github.com/owner/NoName/zip/1");
+    expect(doc.libraries[0].releases[0].url).toBe("https://codeload.github.com/owner/lib/zip/1.0.0");
+    expect(doc.includes).toEqual([
+      channelUrl("https://raw.githubusercontent.com/owner/repo/main/more.json"),
+      "https://example.com/other.json"
+    ]);
+  });
+
+  it("rewrites channel caches and keeps them keyed like the repositories list", () => {
+    const repo = "https://raw.githubusercontent.com/owner/repo/main/repository.json";
+    const doc = {
+      schema_version: "3.0.0",
+      repositories: [repo, "https://example.com/repository.json"],
+      packages_cache: {
+        [repo]: [{ name: "A", releases: [{ url: "https://codeload.github.com/owner/A/zip/2.0.0" }] }],
+        "https://example.com/repository.json": [{ name: "B", releases: [{ url: "https://example.com/B.zip" }] }]
+      },
+      dependencies_cache: { [repo]: [{ name: "dep", releases: [] }] }
+    };
+
+    expect(rewriteChannel(doc, { baseUrl: "https://raw.githubusercontent.com/c/channel.json", origin, env })).toBe(1);
+    expect(doc.repositories).toEqual([channelUrl(repo), "https://example.com/repository.json"]);
+    expect(Object.keys(doc.packages_cache)).toEqual(doc.repositories);
+    expect(doc.packages_cache[channelUrl(repo)][0].releases[0].url)
+      .toBe(packageUrl("A", "https://codeload.github.com/owner/A/zip/2.0.0"));
+    expect(Object.keys(doc.dependencies_cache)).toEqual([channelUrl(repo)]);
+  });
+
+  it("checks releases and nested files against their own allowlists", () => {
+    const release = "https://raw.githubusercontent.com/owner/repo/main/Pkg.zip";
+    const doc = {
+      schema_version: "4.0.0",
+      packages: [{ name: "Pkg", releases: [{ url: release }] }],
+      includes: ["https://codeload.github.com/owner/repo/main/more.json"]
+    };
+
+    expect(rewriteChannel(doc, { baseUrl: "https://raw.githubusercontent.com/c/repository.json", origin, env })).toBe(0);
+    expect(doc.packages[0].releases[0].url).toBe(release);
+    expect(doc.includes).toEqual(["https://codeload.github.com/owner/repo/main/more.json"]);
+  });
+});
@@ -0,0 +1,51 @@
+// Error responses shared by every route. Each failure has a stable
+// machine-readable `code`, a human `message` and optional context; clients
+// that accept JSON get
+//
+//   { "error": { "code": "host_not_allowed", "status": 403, "message": "...", ...context } }
+//
+// and everyone else the message as plain text. Both carry the code in the
+// X-Error-Code header.
+
+/**
+ * @typedef {{ status: number, code: string, message: string, context?: Record<string, unknown> }} ErrorInfo
+ */
+
+/**
+ * Build the response for a failure, negotiated on the request's Accept header.
+ *
+ * @param {Request | undefined} request
+ * @param {ErrorInfo} error - Any `{ ok: false, status, code, message }` result fits.
+ * @param {HeadersInit} [extraHeaders]
+ * @returns {Response}
+ */
+function errorResponse(request, { status, code, message, context }, extraHeaders) {
+  const headers = new Headers(extraHeaders);
+  headers.set("X-Error-Code", code);
+  headers.set("Cache-Control", "no-store");
+
+  if (wantsJson(request)) {
+    headers.set("Content-Type", "application/json; charset=utf-8");
+    const body = { error: { code, status, message, ...context } };
+    return new Response(JSON.stringify(body), { status, headers });
+  }
+
+  headers.set("Content-Type", "text/plain; charset=utf-8");
+  return new Response(message, { status, headers });
+}
+
+/**
+ * True when the client lists a JSON media type (`application/json` or any
+ * `+json` type) with a non-zero quality.
+ */
+function wantsJson(request) {
+  const accept = request?.headers?.get("Accept") || "";
+  return accept.split(",").some((range) => {
+    const [type, ...params] = range.trim().toLowerCase().split(";");
+    if (!/^application\/(?:[\w.-]+\+)?json$/.test(type.trim())) return false;
+    const q = params.map((p) => p.trim()).find((p) => p.startsWith("q="));
+    return !q || Number(q.slice(2)) > 0;
+  });
+}
+
+export { errorResponse, wantsJson };
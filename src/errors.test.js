@@ -0,0 +1,39 @@
+import { describe, expect, it } from "vitest";
+import { errorResponse } from "./errors.js";
+
+const error = { status: 403, code: "host_not_allowed", message: "Host not permitted", context: { host: "x.test" } };
+
+function requestAccepting(accept) {
+  return new Request("https://worker.example/", accept ? { headers: { Accept: accept } } : {});
+}
+
+describe("errorResponse", () => {
+  it.each([
+    ["application/json", true],
+    ["application/vnd.api+json", true],
+    ["text/plain, application/json;q=0.2", true],
+    ["application/json;q=0", false],
+    ["application/json; q=0.0", false],
+    ["*/*", false],
+    ["text/html", false],
+    [null, false]
+  ])("negotiates JSON for Accept %j", async (accept, json) => {
+    const response = errorResponse(requestAccepting(accept), error);
+    expect(response.status).toBe(403);
+    expect(response.headers.get("X-Error-Code")).toBe("host_not_allowed");
+    if (json) {
+      expect(await response.json()).toEqual({
+        error: { code: "host_not_allowed", status: 403, message: "Host not permitted", host: "x.test" }
+      });
+    } else {
+      expect(response.headers.get("Content-Type")).toBe("text/plain; charset=utf-8");
+      expect(await response.text()).toBe("Host not permitted");
+    }
+  });
+
+  it("keeps extra headers and works without a request", () => {
+    const response = errorResponse(undefined, error, { Allow: "GET" });
+    expect(response.headers.get("Allow")).toBe("GET");
+    expect(response.headers.get("Cache-Control")).toBe("no-store");
+  });
+});
@@ -0,0 +1,62 @@
+// Shorthand routes for the supported forges: /<forge>/<owner>/<repo>/<ref>
+// resolves to that forge's ZIP archive URL for the ref.
+
+// The route itself: the forge and the still-encoded segments after it.
+const FORGE_PATH = /^\/(github|gitlab|bitbucket)\/(.+)$/;
+
+const FORGES = {
+  // https://codeload.github.com/<owner>/<repo>/zip/<ref>
+  github: ({ owner, repo, ref }) =>
+    `https://codeload.github.com/${path(owner, repo)}/zip/${path(...ref.split("/"))}`,
+
+  // https://gitlab.com/<group>/<project>/-/archive/<ref>/<project>-<ref>.zip
+  gitlab: ({ owner, repo, ref }) =>
+    `https://gitlab.com/${path(...owner.split("/"), repo)}/-/archive/${path(...ref.split("/"))}/`
+      + `${encodeURIComponent(`${repo}-${ref.replace(/\//g, "-")}`)}.zip`,
+
+  // https://bitbucket.org/<workspace>/<repo>/get/<ref>.zip
+  bitbucket: ({ owner, repo, ref }) =>
+    `https://bitbucket.org/${path(owner, repo)}/get/${encodeURIComponent(ref)}.zip`
+};
+
+/**
+ * Resolve the path segments after `/<forge>/` to an archive URL and a default
+ * package name (the repository name).
+ *
+ * Segments are `<owner>/<repo>/<ref>`; the ref may contain slashes. GitLab
+ * projects in subgroups separate the project path from the ref with `-`, as
+ * GitLab itself does: `/gitlab/<group>/<subgroup>/<project>/-/<ref>`.
+ *
+ * Returns null when the forge is unknown or a part is missing.
+ *
+ * @param {string} forge
+ * @param {string[]} segments - Decoded path segments.
+ * @returns {{ remoteUrl: string, name: string } | null}
+ */
+function resolveForgeArchive(forge, segments) {
+  const build = FORGES[forge];
+  if (!build) return null;
+
+  const parts = segments.filter(Boolean);
+  let project;
+  let refParts;
+  const dash = forge === "gitlab" ? parts.indexOf("-") : -1;
+  if (dash >= 0) {
+    project = parts.slice(0, dash);
+    refParts = parts.slice(dash + 1);
+  } else {
+    project = parts.slice(0, 2);
+    refParts = parts.slice(2);
+  }
+  if (project.length < 2 || refParts.length === 0) return null;
+
+  const repo = project[project.length - 1];
+  const owner = project.slice(0, -1).join("/");
+  return { remoteUrl: build({ owner, repo, ref: refParts.join("/") }), name: repo };
+}
+
+function path(...segments) {
+  return segments.map(encodeURIComponent).join("/");
+}
+
+export { FORGE_PATH, resolveForgeArchive };
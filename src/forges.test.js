@@ -0,0 +1,31 @@
+import { describe, expect, it } from "vitest";
+import { resolveForgeArchive } from "./forges.js";
+
+describe("resolveForgeArchive", () => {
+  it.each([
+    ["github", ["jisaacks", "MaxPane", "master"],
+      "https://codeload.github.com/jisaacks/MaxPane/zip/master", "MaxPane"],
+    ["github", ["michaelblyons", "SublimeSyntax-USFM-Bible", "version", "st3092", "0.1.0"],
+      "https://codeload.github.com/michaelblyons/SublimeSyntax-USFM-Bible/zip/version/st3092/0.1.0",
+      "SublimeSyntax-USFM-Bible"],
+    ["gitlab", ["group", "Project", "v1.0"],
+      "https://gitlab.com/group/Project/-/archive/v1.0/Project-v1.0.zip", "Project"],
+    ["gitlab", ["group", "sub", "Project", "-", "release", "2"],
+      "https://gitlab.com/group/sub/Project/-/archive/release/2/Project-release-2.zip", "Project"],
+    ["bitbucket", ["workspace", "Repo", "1.2.3"],
+      "https://bitbucket.org/workspace/Repo/get/1.2.3.zip", "Repo"],
+    ["github", ["owner", "With Space", "main"],
+      "https://codeload.github.com/owner/With%20Space/zip/main", "With Space"]
+  ])("resolves %s %j", (forge, segments, remoteUrl, name) => {
+    expect(resolveForgeArchive(forge, segments)).toEqual({ remoteUrl, name });
+  });
+
+  it.each([
+    ["github", ["owner", "repo"]],
+    ["gitlab", ["group", "-", "ref"]],
+    ["gitlab", ["group", "project", "-"]],
+    ["sourcehut", ["owner", "repo", "main"]]
+  ])("returns null for %s %j", (forge, segments) => {
+    expect(resolveForgeArchive(forge, segments)).toBeNull();
+  });
+});
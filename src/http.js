@@ -0,0 +1,75 @@
+// Small HTTP helpers shared by the route handlers.
+
+/**
+ * Weak comparison of an If-None-Match header against an entity tag, as used
+ * for GET/HEAD revalidation.
+ */
+function etagMatches(ifNoneMatch, etag) {
+  if (ifNoneMatch.trim() === "*") {
+    return true;
+  }
+
+  const normalizedEtag = normalizeEtag(etag);
+  return ifNoneMatch
+    .split(",")
+    .map(normalizeEtag)
+    .includes(normalizedEtag);
+}
+
+function normalizeEtag(etag) {
+  return etag.trim().replace(/^W\//i, "");
+}
+
+/**
+ * Response headers for proxied JSON files (/logs.json, /channel.json): the
+ * upstream headers plus CORS `*` and a ten-second cache, so the edge
+ * revalidates quickly.
+ */
+function shortCacheHeaders(upstreamHeaders, status) {
+  const headers = new Headers(upstreamHeaders);
+  headers.set("Access-Control-Allow-Origin", "*");
+  headers.set("Cache-Control", "public, max-age=10, s-maxage=10");
+  if (status === 200) {
+    headers.set("Content-Type", "application/json; charset=utf-8");
+    headers.delete("Content-Length");
+    headers.delete("Content-Disposition");
+  }
+  return headers;
+}
+
+/**
+ * Whether the client's If-None-Match / If-Modified-Since already covers the
+ * response described by `responseHeaders`.
+ */
+function clientCacheIsFresh(requestHeaders, responseHeaders) {
+  const ifNoneMatch = requestHeaders.get("If-None-Match");
+  if (ifNoneMatch) {
+    const etag = responseHeaders.get("ETag");
+    return Boolean(etag && etagMatches(ifNoneMatch, etag));
+  }
+
+  const ifModifiedSince = requestHeaders.get("If-Modified-Since");
+  const lastModified = responseHeaders.get("Last-Modified");
+  if (!ifModifiedSince || !lastModified) {
+    return false;
+  }
+
+  const clientDate = Date.parse(ifModifiedSince);
+  const upstreamDate = Date.parse(lastModified);
+  return Number.isFinite(clientDate)
+    && Number.isFinite(upstreamDate)
+    && upstreamDate <= clientDate;
+}
+
+/**
+ * Append a metric to a response's Server-Timing header (on a copy, so
+ * immutable responses work too).
+ */
+function addTiming(resp, metric) {
+  const r = new Response(resp.body, resp);
+  const prev = resp.headers.get("Server-Timing");
+  r.headers.set("Server-Timing", prev ? `${prev}, ${metric}` : metric);
+  return r;
+}
+
+export { etagMatches, shortCacheHeaders, clientCacheIsFresh, addTiming };
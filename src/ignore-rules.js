@@ -0,0 +1,136 @@
+// Package-level exclusion rules: `export-ignore` from the archive's own
+// .gitattributes plus an optional .sublime-package-ignore (gitignore syntax).
+// Paths are relative to the package root, i.e. after the top folder is stripped.
+
+const GITATTRIBUTES = ".gitattributes";
+const PACKAGE_IGNORE = ".sublime-package-ignore";
+
+/**
+ * Build a predicate telling whether a package path should be left out of the
+ * rebuilt archive. Returns null when neither file yields any rule.
+ *
+ * A path is excluded when it, or any of its parent directories, is matched by
+ * an `export-ignore` attribute or by the ignore file (last matching rule wins
+ * within each file, as in git).
+ *
+ * @param {{ gitattributes?: string, packageIgnore?: string }} sources
+ * @returns {((path: string) => boolean) | null}
+ */
+function createIgnoreMatcher({ gitattributes, packageIgnore } = {}) {
+  const ruleSets = [
+    parseExportIgnore(gitattributes || ""),
+    parseIgnoreFile(packageIgnore || "")
+  ].filter((rules) => rules.length > 0);
+  if (ruleSets.length === 0) return null;
+
+  return (path) => {
+    const parts = path.split("/").filter(Boolean);
+    for (let i = 1; i <= parts.length; i++) {
+      const candidate = parts.slice(0, i).join("/");
+      const isDir = i < parts.length || path.endsWith("/");
+      if (ruleSets.some((rules) => lastMatch(rules, candidate, isDir))) return true;
+    }
+    return false;
+  };
+}
+
+/**
+ * Rules from `.gitattributes` lines carrying `export-ignore` (set) or
+ * `-export-ignore` / `!export-ignore` (unset).
+ */
+function parseExportIgnore(text) {
+  const rules = [];
+  for (const line of splitLines(text)) {
+    const [pattern, ...attrs] = line.split(/\s+/);
+    for (const attr of attrs) {
+      if (attr === "export-ignore") rules.push(compileRule(pattern, false));
+      else if (attr === "-export-ignore" || attr === "!export-ignore") {
+        rules.push(compileRule(pattern, true));
+      }
+    }
+  }
+  return rules;
+}
+
+/**
+ * Rules from a gitignore-style file: one pattern per line, `!` re-includes.
+ */
+function parseIgnoreFile(text) {
+  const rules = [];
+  for (const line of splitLines(text)) {
+    if (line.startsWith("!")) rules.push(compileRule(line.slice(1), true));
+    else rules.push(compileRule(line.startsWith("\\") ? line.slice(1) : line, false));
+  }
+  return rules;
+}
+
+function splitLines(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"));
+}
+
+function lastMatch(rules, path, isDir) {
+  let ignored = false;
+  for (const rule of rules) {
+    if (rule.dirOnly && !isDir) continue;
+    if (rule.regex.test(path)) ignored = !rule.negate;
+  }
+  return ignored;
+}
+
+/**
+ * Compile one gitignore pattern. Patterns containing a slash (other than a
+ * trailing one) are anchored at the package root; others match a name at
+ * any depth.
+ */
+function compileRule(rawPattern, negate) {
+  let pattern = rawPattern;
+  const dirOnly = pattern.endsWith("/");
+  if (dirOnly) pattern = pattern.replace(/\/+$/, "");
+  const anchored = pattern.includes("/");
+  pattern = pattern.replace(/^\/+/, "");
+
+  const body = globToRegExp(pattern);
+  const regex = new RegExp(anchored ? `^${body}$` : `^(?:.*/)?${body}$`);
+  return { regex, dirOnly, negate };
+}
+
+function globToRegExp(glob) {
+  let re = "";
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === "*") {
+      if (glob[i + 1] === "*") {
+        if (glob[i + 2] === "/") {
+          re += "(?:.*/)?";        // "**/" → zero or more directories
+          i += 2;
+        } else {
+          re += ".*";              // trailing "/**" → everything inside
+          i += 1;
+        }
+      } else {
+        re += "[^/]*";
+      }
+    } else if (c === "?") {
+      re += "[^/]";
+    } else if (c === "[" && glob.indexOf("]", i + 2) > i) {
+      const end = glob.indexOf("]", i + 2);
+      const cls = glob.slice(i + 1, end).replace(/\\/g, "\\\\");
+      re += cls.startsWith("!") ? `[^${cls.slice(1)}]` : `[${cls}]`;
+      i = end;
+    } else if (c === "\\" && i + 1 < glob.length) {
+      re += escapeRegExp(glob[++i]);
+    } else {
+      re += escapeRegExp(c);
+    }
+  }
+  return re;
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+}
+
+export { createIgnoreMatcher, GITATTRIBUTES, PACKAGE_IGNORE };
@@ -0,0 +1,54 @@
+import { describe, expect, it } from "vitest";
+import { createIgnoreMatcher } from "./ignore-rules.js";
+
+describe("createIgnoreMatcher", () => {
+  it("returns null when there are no rules", () => {
+    expect(createIgnoreMatcher({})).toBeNull();
+    expect(createIgnoreMatcher({ gitattributes: "* text=auto\n*.py diff=python\n" })).toBeNull();
+    expect(createIgnoreMatcher({ gitattributes: "# tests/ export-ignore\n" })).toBeNull();
+  });
+
+  it.each([
+    // [gitattributes, path, excluded]
+    ["tests/ export-ignore", "tests/test_main.py", true],
+    ["tests/ export-ignore", "lib/tests/helper.py", true],
+    ["tests/ export-ignore", "tests", false],
+    ["/tests export-ignore", "lib/tests/helper.py", false],
+    ["/.github export-ignore", ".github/workflows/ci.yml", true],
+    ["*.png export-ignore", "docs/img/screenshot.png", true],
+    ["*.png export-ignore", "icon.png.py", false],
+    ["docs/*.md export-ignore", "docs/usage.md", true],
+    ["docs/*.md export-ignore", "docs/deep/usage.md", false],
+    ["docs/**/*.md export-ignore", "docs/deep/usage.md", true],
+    ["**/fixtures export-ignore", "a/b/fixtures/x.json", true],
+    ["screenshot?.png export-ignore", "screenshot1.png", true],
+    ["[Mm]akefile export-ignore", "makefile", true],
+    [".travis.yml export-ignore\n.travis.yml -export-ignore", ".travis.yml", false]
+  ])("gitattributes %j → %s excluded: %s", (gitattributes, path, excluded) => {
+    const isIgnored = createIgnoreMatcher({ gitattributes });
+    expect(isIgnored(path)).toBe(excluded);
+  });
+
+  it.each([
+    // [packageIgnore, path, excluded]
+    ["screenshots/", "screenshots/dark.png", true],
+    ["*.gif\n!demo.gif", "demo.gif", false],
+    ["*.gif\n!demo.gif", "other.gif", true],
+    ["/Makefile", "Makefile", true],
+    ["/Makefile", "src/Makefile", false],
+    ["\\#notes.txt", "#notes.txt", true]
+  ])("ignore file %j → %s excluded: %s", (packageIgnore, path, excluded) => {
+    const isIgnored = createIgnoreMatcher({ packageIgnore });
+    expect(isIgnored(path)).toBe(excluded);
+  });
+
+  it("combines both sources", () => {
+    const isIgnored = createIgnoreMatcher({
+      gitattributes: "tests/ export-ignore\n",
+      packageIgnore: "*.gif\n"
+    });
+    expect(isIgnored("tests/a.py")).toBe(true);
+    expect(isIgnored("demo.gif")).toBe(true);
+    expect(isIgnored("main.py")).toBe(false);
+  });
+});
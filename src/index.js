@@ -1,9 +1,26 @@
 import {
   handlePackageRequest,
+  handleManifestRequest,
   parseZipTOC,
   shouldFlattenFromTOC,
-  hasRootMarkerInTOC
+  hasRootMarkerInTOC,
+  rebuildZipFlatten,
+  parseZipTOCFromTail,
+  rebuildZipFlattenStream,
+  findUnsafeEntries,
+  crc32
 } from "./package-handler.js";
+import { handleAdminRequest } from "./admin.js";
+import { FORGE_PATH, resolveForgeArchive } from "./forges.js";
+import { errorResponse } from "./errors.js";
+import { handleStatsRequest } from "./analytics.js";
+import { handlePrewarmRequest } from "./prewarm.js";
+import { handleChannelRequest } from "./channel.js";
+import { handleLogsRequest } from "./logs.js";
+import { handlePackageStatusRequest } from "./package-status.js";
+
+// Durable Object classes must be exported from the main module.
+export { RateLimiter } from "./rate-limiter.js";
 
 export default {
   async fetch(request, env, ctx) {
@@ -15,102 +32,89 @@ export default {
       return handleLogsRequest(request, env);
     }
 
-    const packageMatch = pathname.match(/^\/packages\/([^/]+)\/?$/);
+    if (pathname === "/channel.json") {
+      return handleChannelRequest({ request, env, url });
+    }
+
+    if (pathname === "/stats.json") {
+      return handleStatsRequest(request, env, ctx);
+    }
+
+    if (pathname.startsWith("/admin/")) {
+      return handleAdminRequest({ request, env, url });
+    }
+
+    if (pathname === "/prewarm") {
+      return handlePrewarmRequest({ request, env, ctx, url });
+    }
+
+    const packageMatch = pathname.match(/^\/packages\/([^/]+)(\/manifest\.json|\/status\.json|\/badge\.svg|\/?)$/);
     if (packageMatch) {
-      if (!remoteUrl) return new Response("Missing ?url", { status: 400 });
       let name = packageMatch[1];
       try {
         name = decodeURIComponent(name);
       } catch {
-        return new Response("Invalid package name", { status: 400 });
+        return errorResponse(request, { status: 400, code: "invalid_name", message: "Invalid package name" });
+      }
+      if (packageMatch[2] === "/status.json" || packageMatch[2] === "/badge.svg") {
+        const format = packageMatch[2] === "/badge.svg" ? "svg" : "json";
+        return handlePackageStatusRequest({ request, env, ctx, name, format });
+      }
+      if (!remoteUrl) return missingUrl(request);
+      if (packageMatch[2] === "/manifest.json") {
+        return handleManifestRequest({ request, env, remoteUrl, name });
       }
       return handlePackageRequest({ request, env, ctx, remoteUrl, name });
     }
 
+    const forgeMatch = pathname.match(FORGE_PATH);
+    if (forgeMatch) {
+      let segments;
+      try {
+        segments = forgeMatch[2].split("/").map(decodeURIComponent);
+      } catch {
+        return errorResponse(request, { status: 400, code: "invalid_path", message: "Invalid path" });
+      }
+      const archive = resolveForgeArchive(forgeMatch[1], segments);
+      if (!archive) {
+        return errorResponse(request, {
+          status: 400,
+          code: "invalid_forge_path",
+          message: `Expected /${forgeMatch[1]}/<owner>/<repo>/<ref>`,
+          context: { forge: forgeMatch[1] }
+        });
+      }
+      const name = url.searchParams.get("name") || archive.name;
+      return handlePackageRequest({ request, env, ctx, remoteUrl: archive.remoteUrl, name });
+    }
+
     if (pathname.startsWith("/packages")) {
-      return new Response("Package name required in path", { status: 400 });
+      return errorResponse(request, { status: 400, code: "missing_name", message: "Package name required in path" });
     }
 
     // Legacy root handler kept during migration
     if (pathname === "/" || pathname === "") {
-      if (!remoteUrl) return new Response("Missing ?url", { status: 400 });
+      if (!remoteUrl) return missingUrl(request);
       const legacyName = url.searchParams.get("name");
       return handlePackageRequest({ request, env, ctx, remoteUrl, name: legacyName });
     }
 
-    return new Response("Not found", { status: 404 });
+    return errorResponse(request, { status: 404, code: "not_found", message: "Not found" });
   }
 };
 
-async function handleLogsRequest(request, env) {
-  const assetUrl =
-    env?.ASSET_URL ||
-    "https://github.com/packagecontrol/thecrawl/releases/download/crawler-status/logs.json";
-
-  const upstream = await fetch(assetUrl, {
-    // Keep edge cache tiny; still allow edge to revalidate quickly.
-    cf: { cacheTtl: 10, cacheEverything: true }
-  });
-
-  const headers = logResponseHeaders(upstream.headers, upstream.status);
-  if (upstream.status === 200 && clientCacheIsFresh(request.headers, upstream.headers)) {
-    return new Response(null, { status: 304, headers });
-  }
-
-  return new Response(upstream.body, {
-    status: upstream.status,
-    statusText: upstream.statusText,
-    headers
-  });
+function missingUrl(request) {
+  return errorResponse(request, { status: 400, code: "missing_url", message: "Missing ?url" });
 }
 
 // Re-export for tests
-export { parseZipTOC, shouldFlattenFromTOC, hasRootMarkerInTOC };
-
-function logResponseHeaders(upstreamHeaders, status) {
-  const headers = new Headers(upstreamHeaders);
-  headers.set("Access-Control-Allow-Origin", "*");
-  headers.set("Cache-Control", "public, max-age=10, s-maxage=10");
-  if (status === 200) {
-    headers.set("Content-Type", "application/json; charset=utf-8");
-    headers.delete("Content-Length");
-    headers.delete("Content-Disposition");
-  }
-  return headers;
-}
-
-function clientCacheIsFresh(requestHeaders, upstreamHeaders) {
-  const ifNoneMatch = requestHeaders.get("If-None-Match");
-  if (ifNoneMatch) {
-    const etag = upstreamHeaders.get("ETag");
-    return Boolean(etag && etagMatches(ifNoneMatch, etag));
-  }
-
-  const ifModifiedSince = requestHeaders.get("If-Modified-Since");
-  const lastModified = upstreamHeaders.get("Last-Modified");
-  if (!ifModifiedSince || !lastModified) {
-    return false;
-  }
-
-  const clientDate = Date.parse(ifModifiedSince);
-  const upstreamDate = Date.parse(lastModified);
-  return Number.isFinite(clientDate)
-    && Number.isFinite(upstreamDate)
-    && upstreamDate <= clientDate;
-}
-
-function etagMatches(ifNoneMatch, etag) {
-  if (ifNoneMatch.trim() === "*") {
-    return true;
-  }
-
-  const normalizedEtag = normalizeEtag(etag);
-  return ifNoneMatch
-    .split(",")
-    .map(normalizeEtag)
-    .includes(normalizedEtag);
-}
-
-function normalizeEtag(etag) {
-  return etag.trim().replace(/^W\//i, "");
-}
+export {
+  parseZipTOC,
+  shouldFlattenFromTOC,
+  hasRootMarkerInTOC,
+  rebuildZipFlatten,
+  parseZipTOCFromTail,
+  rebuildZipFlattenStream,
+  findUnsafeEntries,
+  crc32
+};
@@ -1,13 +1,25 @@
+import { createHash } from "node:crypto";
 import fs from "node:fs";
 import path from "node:path";
 import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
-import { unzipSync } from "fflate";
-import worker, { parseZipTOC, hasRootMarkerInTOC, shouldFlattenFromTOC } from "./index.js";
+import { gunzipSync, gzipSync, unzipSync, zipSync } from "fflate";
+import worker, {
+  parseZipTOC,
+  hasRootMarkerInTOC,
+  shouldFlattenFromTOC,
+  rebuildZipFlatten,
+  parseZipTOCFromTail,
+  rebuildZipFlattenStream,
+  findUnsafeEntries,
+  crc32
+} from "./index.js";
 
 const fixturePath = (name) => path.resolve("test/fixtures", name);
 const readFixture = (name) => fs.readFileSync(fixturePath(name));
 const originalFetch = globalThis.fetch;
 const originalCaches = globalThis.caches;
+// The init of a full (non-HEAD, non-Range) upstream GET.
+const plainGet = { redirect: "manual", signal: expect.any(AbortSignal) };
 
 describe("shouldFlattenFromTOC", () => {
   it("returns prefix when archive has a single root folder", () => {
@@ -84,18 +96,303 @@ describe("real package fixtures", () => {
   });
 });
 
+describe("ZIP64", () => {
+  it("parses an archive written with forced ZIP64 records", () => {
+    const bytes = new Uint8Array(readFixture("Zip64Pkg-forced.zip"));
+    const toc = parseZipTOC(bytes);
+    expect(toc.zip64).toBe(true);
+    expect(toc.entries.map((e) => e.name)).toEqual([
+      "Zip64Pkg/",
+      "Zip64Pkg/plugin.py",
+      "Zip64Pkg/sub/",
+      "Zip64Pkg/sub/readme.txt"
+    ]);
+    const readme = toc.entries[3];
+    expect(readme.uncompSize).toBe(11090);
+    expect(readme.method).toBe(8);
+    expect(shouldFlattenFromTOC(toc)).toEqual({ prefix: "Zip64Pkg/" });
+  });
+
+  it("reads sizes and local header offsets from the ZIP64 extra field", async () => {
+    const bytes = new Uint8Array(readFixture("OffsetPkg-zip64-extra.zip"));
+    const toc = parseZipTOC(bytes);
+    expect(toc.zip64).toBe(true);
+    expect(toc.entries).toHaveLength(2);
+    const main = toc.entries[1];
+    expect(main.name).toBe("OffsetPkg/main.py");
+    expect(main.compSize).toBe(32);
+    expect(main.uncompSize).toBe(32);
+    expect(main.locRelOffset).toBeGreaterThan(0);
+
+    const flat = await readRebuilt(rebuildZipFlatten(bytes, toc, "OffsetPkg/"));
+    const archive = unzipSync(flat);
+    expect(new TextDecoder().decode(archive["main.py"])).toBe("print('offsets in zip64 extra')\n");
+  });
+
+  it("flattens a forced ZIP64 archive into a readable classic archive", async () => {
+    const bytes = new Uint8Array(readFixture("Zip64Pkg-forced.zip"));
+    const toc = parseZipTOC(bytes);
+    const flat = await readRebuilt(rebuildZipFlatten(bytes, toc, "Zip64Pkg/"));
+
+    expect(parseZipTOC(flat).zip64).toBe(false);
+    const archive = unzipSync(flat);
+    expect(Object.keys(archive).sort()).toEqual(["plugin.py", "sub/readme.txt"]);
+    expect(archive["sub/readme.txt"].byteLength).toBe(11090);
+  });
+
+  it("writes ZIP64 end records for more than 65,535 entries", async () => {
+    const count = 0x10000;
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+      entries.push(storedEntry(`pkg/f${i}`, 0));
+    }
+    const toc = { entries, tops: new Set(["pkg"]), hasRootFiles: false };
+
+    const out = await readRebuilt(rebuildZipFlatten(new Uint8Array(0), toc, "pkg/"));
+    const view = new DataView(out.buffer, out.byteOffset, out.byteLength);
+    expect(view.getUint16(out.byteLength - 22 + 10, true)).toBe(0xFFFF);
+
+    const reparsed = parseZipTOC(out);
+    expect(reparsed.zip64).toBe(true);
+    expect(reparsed.entries).toHaveLength(count);
+    expect(reparsed.entries[count - 1].name).toBe(`f${count - 1}`);
+  });
+
+  it("writes ZIP64 extra fields for sizes beyond 4 GiB", async () => {
+    const huge = 0x100000005;
+    const toc = {
+      entries: [storedEntry("pkg/big.bin", huge)],
+      tops: new Set(["pkg"]),
+      hasRootFiles: false
+    };
+
+    // Only headers are meaningful here; the data copy is clamped to the input,
+    // so inspect each emitted piece rather than parsing the whole archive.
+    const { stream } = rebuildZipFlatten(new Uint8Array(0), toc, "pkg/");
+    const [local, central, end] = await readChunks(stream);
+
+    const lv = new DataView(local.buffer, local.byteOffset, local.byteLength);
+    expect(lv.getUint16(4, true)).toBe(45);
+    expect(lv.getUint32(18, true)).toBe(0xFFFFFFFF);
+    expect(lv.getUint16(30 + 7, true)).toBe(0x0001);
+    expect(lv.getBigUint64(30 + 7 + 4, true)).toBe(BigInt(huge));
+
+    const cv = new DataView(central.buffer, central.byteOffset, central.byteLength);
+    expect(cv.getUint32(20, true)).toBe(0xFFFFFFFF);
+    expect(cv.getUint32(24, true)).toBe(0xFFFFFFFF);
+    expect(cv.getUint16(30, true)).toBe(4 + 16);
+    expect(cv.getBigUint64(46 + 7 + 4, true)).toBe(BigInt(huge));
+    expect(cv.getBigUint64(46 + 7 + 12, true)).toBe(BigInt(huge));
+
+    // Central directory starts past 4 GiB → ZIP64 end records.
+    const ev = new DataView(end.buffer, end.byteOffset, end.byteLength);
+    expect(ev.getUint32(0, true)).toBe(0x06064b50);
+    expect(ev.getBigUint64(48, true)).toBe(BigInt(local.byteLength + huge));
+  });
+});
+
+describe("rebuildZipFlatten streaming", () => {
+  it("emits headers and data as separate chunks with the central directory last", async () => {
+    const bytes = new Uint8Array(readFixture("MaxPane-master.zip"));
+    const toc = parseZipTOC(bytes);
+    const { stream, size } = rebuildZipFlatten(bytes, toc, "MaxPane-master/");
+    const chunks = await readChunks(stream);
+
+    expect(chunks.length).toBeGreaterThan(3);
+    const first = new DataView(chunks[0].buffer, chunks[0].byteOffset, chunks[0].byteLength);
+    expect(first.getUint32(0, true)).toBe(0x04034b50);
+    const last = chunks[chunks.length - 1];
+    expect(new DataView(last.buffer, last.byteOffset).getUint32(0, true)).toBe(0x06054b50);
+    expect(chunks.reduce((n, c) => n + c.byteLength, 0)).toBe(size);
+  });
+
+  it("copies compressed data without duplicating the input buffer", async () => {
+    const bytes = new Uint8Array(readFixture("TreeSitter-1.8.1.zip"));
+    const toc = parseZipTOC(bytes);
+    const { stream } = rebuildZipFlatten(bytes, toc, shouldFlattenFromTOC(toc).prefix);
+    const chunks = await readChunks(stream);
+
+    const dataChunks = chunks.filter((c) => c.buffer === bytes.buffer);
+    expect(dataChunks.length).toBeGreaterThan(0);
+  });
+
+  it("throws before streaming when an entry lies outside the prefix", () => {
+    const toc = {
+      entries: [storedEntry("a/x.py", 0), storedEntry("b/y.py", 0)],
+      tops: new Set(["a", "b"]),
+      hasRootFiles: false
+    };
+    expect(() => rebuildZipFlatten(new Uint8Array(0), toc, "a/")).toThrow("entry outside prefix");
+  });
+});
+
+describe("tail-only TOC and single-pass rebuild", () => {
+  it.each(["MaxPane-master.zip", "TreeSitter-1.8.1.zip", "Zip64Pkg-forced.zip"])(
+    "parses the same entries from the tail of %s",
+    (fixture) => {
+      const bytes = new Uint8Array(readFixture(fixture));
+      const full = parseZipTOC(bytes);
+      // Start the tail where the last entry's data ends, i.e. at the central directory.
+      const last = full.entries.reduce((a, b) => (a.locRelOffset > b.locRelOffset ? a : b));
+      const cdStart = last.dataStart + last.compSize;
+      const tocFromTail = parseZipTOCFromTail(bytes.subarray(cdStart), cdStart);
+
+      expect(tocFromTail.entries.map((e) => [e.name, e.compSize, e.locRelOffset]))
+        .toEqual(full.entries.map((e) => [e.name, e.compSize, e.locRelOffset]));
+      expect(tocFromTail.entries.every((e) => e.dataStart === null)).toBe(true);
+      expect(shouldFlattenFromTOC(tocFromTail)).toEqual(shouldFlattenFromTOC(full));
+    }
+  );
+
+  it("throws when the central directory is not inside the tail", () => {
+    const bytes = new Uint8Array(readFixture("MaxPane-master.zip"));
+    const offset = bytes.byteLength - 30;
+    expect(() => parseZipTOCFromTail(bytes.subarray(offset), offset)).toThrow();
+  });
+
+  it.each(["MaxPane-master.zip", "TreeSitter-1.8.1.zip", "Zip64Pkg-forced.zip"])(
+    "streams %s into the same bytes as the buffered rebuild",
+    async (fixture) => {
+      const bytes = new Uint8Array(readFixture(fixture));
+      const toc = parseZipTOC(bytes);
+      const { prefix } = shouldFlattenFromTOC(toc);
+      const buffered = await readRebuilt(rebuildZipFlatten(bytes, toc, prefix));
+
+      const tocFromTail = parseZipTOCFromTail(bytes, 0);
+      const streamed = rebuildZipFlattenStream(chunkedStream(bytes, 7), tocFromTail, prefix);
+      const out = await readRebuilt(streamed);
+
+      expect(out).toEqual(buffered);
+      expect(out.byteLength).toBe(streamed.size);
+    }
+  );
+});
+
+describe("preserved entry metadata", () => {
+  it("exposes attributes, extra fields and comments from the central directory", () => {
+    const toc = parseZipTOC(new Uint8Array(readFixture("Attrs-main.zip")));
+    const helper = toc.entries.find((e) => e.name === "Attrs-main/bin/helper");
+
+    expect(toc.comment).toBe("Attrs package archive");
+    expect(helper.comment).toBe("executable helper");
+    expect(helper.versionMadeBy >> 8).toBe(3);           // Unix
+    expect((helper.extAttrs >>> 16) & 0o777).toBe(0o755);
+    expect(helper.extraFields.map((f) => f.id)).toEqual([0x5455, 0x7875]);
+  });
+
+  it("round-trips attributes, timestamps, comments and the archive comment", async () => {
+    const bytes = new Uint8Array(readFixture("Attrs-main.zip"));
+    const toc = parseZipTOC(bytes);
+    const out = await readRebuilt(rebuildZipFlatten(bytes, toc, "Attrs-main/"));
+    const rebuilt = parseZipTOC(out);
+
+    expect(rebuilt.comment).toBe(toc.comment);
+    for (const name of ["plugin.py", "bin/helper"]) {
+      const before = toc.entries.find((e) => e.name === `Attrs-main/${name}`);
+      const after = rebuilt.entries.find((e) => e.name === name);
+      expect(after.extAttrs).toBe(before.extAttrs);
+      expect(after.versionMadeBy).toBe(before.versionMadeBy);
+      expect(after.comment).toBe(before.comment);
+      expect(after.extraFields).toEqual(before.extraFields);
+    }
+    expect(unzipSync(out)).toHaveProperty("bin/helper");
+  });
+
+  it("regenerates Unicode path fields for the stripped name", async () => {
+    const enc = new TextEncoder();
+    const oldName = enc.encode("pkg/caf\u00e9.py");
+    const unicodePath = new Uint8Array(5 + oldName.byteLength);
+    unicodePath[0] = 1;
+    new DataView(unicodePath.buffer).setUint32(1, crc32(oldName), true);
+    unicodePath.set(oldName, 5);
+
+    const entry = { ...storedEntry("pkg/caf\u00e9.py", 0), extraFields: [{ id: 0x7075, data: unicodePath }] };
+    const toc = { entries: [entry], tops: new Set(["pkg"]), hasRootFiles: false };
+    const out = await readRebuilt(rebuildZipFlatten(new Uint8Array(0), toc, "pkg/"));
+
+    const [rebuilt] = parseZipTOC(out).entries;
+    const field = rebuilt.extraFields.find((f) => f.id === 0x7075);
+    const newName = enc.encode("caf\u00e9.py");
+    const fv = new DataView(field.data.buffer, field.data.byteOffset);
+    expect(fv.getUint32(1, true)).toBe(crc32(newName));
+    expect(field.data.subarray(5)).toEqual(newName);
+  });
+
+  it("computes standard CRC-32 values", () => {
+    expect(crc32(new TextEncoder().encode("hello"))).toBe(0x3610a686);
+    expect(crc32(new TextEncoder().encode("lo"), crc32(new TextEncoder().encode("hel")))).toBe(0x3610a686);
+    expect(crc32(new Uint8Array(0))).toBe(0);
+  });
+});
+
+describe("findUnsafeEntries", () => {
+  const tocOf = (entries, cdOffset = 1000) => ({ entries, cdOffset });
+  const at = (name, locRelOffset, compSize) => ({
+    ...storedEntry(name, compSize),
+    locRelOffset,
+    dataStart: locRelOffset + 30 + name.length
+  });
+
+  it("accepts the real package fixtures", () => {
+    for (const fixture of ["MaxPane-master.zip", "TreeSitter-1.8.1.zip", "Zip64Pkg-forced.zip", "Attrs-main.zip"]) {
+      expect(findUnsafeEntries(parseZipTOC(new Uint8Array(readFixture(fixture))))).toEqual([]);
+    }
+  });
+
+  it.each([
+    ["pkg/../../evil.py", "path traversal"],
+    ["..", "path traversal"],
+    ["/etc/passwd", "absolute path"],
+    ["C:/Windows/evil.dll", "absolute path"],
+    ["pkg\\evil.py", "backslash path separator"],
+    ["pkg/evil\0.py", "NUL byte in name"]
+  ])("rejects %j (%s)", (name, reason) => {
+    expect(findUnsafeEntries(tocOf([at(name, 0, 1)]))).toEqual([{ name, reason }]);
+  });
+
+  it("rejects duplicate names", () => {
+    const toc = tocOf([at("pkg/a.py", 0, 1), at("pkg/a.py", 100, 1)]);
+    expect(findUnsafeEntries(toc)).toEqual([{ name: "pkg/a.py", reason: "duplicate name" }]);
+  });
+
+  it("rejects entries whose data overlaps another entry", () => {
+    const toc = tocOf([at("pkg/a.bin", 0, 500), at("pkg/b.bin", 0, 500), at("pkg/c.bin", 100, 10)]);
+    expect(findUnsafeEntries(toc)).toEqual([
+      { name: "pkg/b.bin", reason: 'data overlaps "pkg/a.bin"' },
+      { name: "pkg/c.bin", reason: 'data overlaps "pkg/a.bin"' }
+    ]);
+  });
+
+  it("rejects entries whose data runs past the central directory", () => {
+    const toc = tocOf([at("pkg/a.bin", 900, 500)]);
+    expect(findUnsafeEntries(toc)).toEqual([
+      { name: "pkg/a.bin", reason: "data runs past the end of the archive" }
+    ]);
+  });
+
+  it("uses minimal local headers for tail-only TOCs", () => {
+    const entry = { ...at("pkg/a.bin", 0, 10), dataStart: null };
+    // 30-byte header + "pkg/a.bin" + 10 bytes of data ends at 49.
+    expect(findUnsafeEntries(tocOf([entry, at("pkg/b.bin", 48, 1)]))).toHaveLength(1);
+    expect(findUnsafeEntries(tocOf([entry, at("pkg/b.bin", 49, 1)]))).toEqual([]);
+  });
+});
+
 describe("fetch handler", () => {
   let cacheMatch;
   let cachePut;
+  let cacheDelete;
 
   beforeEach(() => {
     cacheMatch = vi.fn().mockResolvedValue(undefined);
     cachePut = vi.fn().mockResolvedValue(undefined);
+    cacheDelete = vi.fn().mockResolvedValue(true);
 
     globalThis.caches = {
       default: {
         match: cacheMatch,
-        put: cachePut
+        put: cachePut,
+        delete: cacheDelete
       }
     };
   });
@@ -135,7 +432,7 @@ describe("fetch handler", () => {
     );
 
     expect(response.status).toBe(200);
-    expect(globalThis.fetch).toHaveBeenCalledWith(remoteUrl);
+    expect(globalThis.fetch).toHaveBeenCalledWith(remoteUrl, plainGet);
     expect(cacheMatch).toHaveBeenCalled();
     expect(cachePut).toHaveBeenCalled();
     expect(waitUntil).toHaveBeenCalled();
@@ -167,7 +464,7 @@ describe("fetch handler", () => {
     );
   
     expect(response.status).toBe(200);
-    expect(globalThis.fetch).toHaveBeenCalledWith(remoteUrl);
+    expect(globalThis.fetch).toHaveBeenCalledWith(remoteUrl, plainGet);
     expect(cacheMatch).toHaveBeenCalled();
     expect(cachePut).toHaveBeenCalled();
     expect(waitUntil).toHaveBeenCalled();
@@ -292,6 +589,73 @@ describe("fetch handler", () => {
     expect(response.status).toBe(200);
   });
 
+  it("serves channel.json with releases pointed at /packages and the logs.json caching", async () => {
+    const channel = "https://raw.githubusercontent.com/owner/repo/main/repository.json";
+    const release = "https://codeload.github.com/jisaacks/MaxPane/zip/1.0.0";
+    globalThis.fetch = vi.fn(async () =>
+      new Response(
+        JSON.stringify({ schema_version: "4.0.0", packages: [{ name: "MaxPane", releases: [{ url: release }] }] }),
+        { headers: { ETag: '"abc"', "Content-Length": "999" } }
+      )
+    );
+    const env = { ALLOW_HOSTS: "codeload.github.com" };
+    const request = (headers) =>
+      new Request(`https://worker.example/channel.json?url=${encodeURIComponent(channel)}`, { headers });
+
+    const response = await worker.fetch(request(), env, { waitUntil: vi.fn() });
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get("Access-Control-Allow-Origin")).toBe("*");
+    expect(response.headers.get("Cache-Control")).toBe("public, max-age=10, s-maxage=10");
+    expect(response.headers.get("Content-Type")).toBe("application/json; charset=utf-8");
+    expect(response.headers.get("ETag")).toBe('W/"abc"');
+    expect(response.headers.get("X-Rewritten-Releases")).toBe("1");
+    expect((await response.json()).packages[0].releases[0].url)
+      .toBe(`https://worker.example/packages/MaxPane?url=${encodeURIComponent(release)}`);
+    expect(globalThis.fetch).toHaveBeenCalledWith(channel, expect.objectContaining({
+      cf: { cacheTtl: 10, cacheEverything: true }
+    }));
+
+    const revalidated = await worker.fetch(request({ "If-None-Match": '"abc"' }), env, { waitUntil: vi.fn() });
+    expect(revalidated.status).toBe(304);
+  });
+
+  it("refuses channel files with an unknown schema", async () => {
+    globalThis.fetch = vi.fn(async () => Response.json({ schema_version: "2.0" }));
+    const channel = "https://raw.githubusercontent.com/owner/repo/main/old.json";
+
+    const response = await worker.fetch(
+      new Request(`https://worker.example/channel.json?url=${encodeURIComponent(channel)}`),
+      {},
+      { waitUntil: vi.fn() }
+    );
+
+    expect(response.status).toBe(422);
+    expect(response.headers.get("X-Error-Code")).toBe("unsupported_schema");
+  });
+
+  it("checks channel files against CHANNEL_ALLOW_HOSTS and keeps their host out of /packages", async () => {
+    globalThis.fetch = vi.fn(async () => Response.json({ schema_version: "4.0.0", packages: [] }));
+    const channel = "https://raw.githubusercontent.com/owner/repo/main/repository.json";
+    const env = { CHANNEL_ALLOW_HOSTS: "packagecontrol.io" };
+
+    const refused = await worker.fetch(
+      new Request(`https://worker.example/channel.json?url=${encodeURIComponent(channel)}`),
+      env,
+      { waitUntil: vi.fn() }
+    );
+    expect(refused.status).toBe(403);
+    expect(refused.headers.get("X-Error-Code")).toBe("host_not_allowed");
+
+    const repackaged = await worker.fetch(
+      new Request(`https://worker.example/packages/x?url=${encodeURIComponent(channel)}`),
+      {},
+      { waitUntil: vi.fn() }
+    );
+    expect(repackaged.status).toBe(403);
+    expect(globalThis.fetch).not.toHaveBeenCalled();
+  });
+
   it("proxies logs.json as compressible JSON with short cache and CORS", async () => {
     const assetUrl = "https://github.com/packagecontrol/thecrawl/releases/download/crawler-status/logs.json";
     const payload = new TextEncoder().encode('{"ok":true}');
@@ -381,7 +745,1644 @@ describe("fetch handler", () => {
     expect(response.headers.get("Last-Modified")).toBe("Mon, 08 Jun 2026 06:25:03 GMT");
     expect(await response.text()).toBe("");
   });
-});
+
+  it("filters logs.json by query and reuses the parsed entries for the same ETag", async () => {
+    const logs = [
+      { name: "MaxPane", status: "ok", time: "2026-06-08T06:00:00Z" },
+      { name: "TreeSitter", status: "error", time: "2026-06-08T06:10:00Z" },
+      { name: "TreeSitter", status: "ok", time: "2026-06-08T06:20:00Z" }
+    ];
+    let body = JSON.stringify({ logs });
+    globalThis.fetch = vi.fn(async () => new Response(body, { headers: { ETag: '"logs-1"' } }));
+    const request = (headers) =>
+      new Request("https://worker.example/logs.json?name=treesitter&fields=status&limit=1", { headers });
+
+    const response = await worker.fetch(request(), {}, { waitUntil: vi.fn() });
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get("Access-Control-Allow-Origin")).toBe("*");
+    expect(response.headers.get("Cache-Control")).toBe("public, max-age=10, s-maxage=10");
+    expect(response.headers.get("ETag")).toBe('W/"logs-1"');
+    expect(await response.json()).toEqual({ total: 2, offset: 0, limit: 1, entries: [{ status: "error" }] });
+
+    // Same ETag: the body is not parsed again.
+    body = "not json";
+    const cached = await worker.fetch(request(), {}, { waitUntil: vi.fn() });
+    expect((await cached.json()).total).toBe(2);
+
+    const revalidated = await worker.fetch(request({ "If-None-Match": '"logs-1"' }), {}, { waitUntil: vi.fn() });
+    expect(revalidated.status).toBe(304);
+    expect(revalidated.headers.get("Access-Control-Allow-Origin")).toBe("*");
+  });
+
+  it("rejects invalid logs.json queries before fetching", async () => {
+    globalThis.fetch = vi.fn();
+
+    const response = await worker.fetch(
+      new Request("https://worker.example/logs.json?limit=5000"),
+      {},
+      { waitUntil: vi.fn() }
+    );
+
+    expect(response.status).toBe(400);
+    expect(response.headers.get("X-Error-Code")).toBe("invalid_query");
+    expect(globalThis.fetch).not.toHaveBeenCalled();
+  });
+
+  it("summarizes a package's crawler entries and latest decision in status.json and badge.svg", async () => {
+    const assetUrl = "https://github.com/packagecontrol/thecrawl/releases/download/crawler-status/logs.json";
+    const logs = [
+      { name: "Other", status: "error", time: "2026-06-08T07:00:00Z" },
+      { name: "MaxPane", status: "ok", time: "2026-06-08T06:00:00Z", message: "updated" }
+    ];
+    globalThis.fetch = vi.fn(async (input, init) => {
+      if (input === assetUrl) return Response.json(logs, { headers: { ETag: '"status-logs"' } });
+      if (String(input).endsWith("/analytics_engine/sql")) {
+        expect(init.body).toContain("WHERE blob1 = 'MaxPane'");
+        expect(init.body).toContain("AND blob3 NOT IN ('cache-hit', 'store-hit', 'coalesced')");
+        return Response.json({
+          data: [{ path: "size>hard", error: "", extension: "", status: 302, timestamp: "2026-06-08 08:00:00" }]
+        });
+      }
+      return new Response(null, { status: 404 });
+    });
+    const env = { ANALYTICS_ACCOUNT_ID: "acct", ANALYTICS_API_TOKEN: "token" };
+
+    const response = await worker.fetch(
+      new Request("https://worker.example/packages/MaxPane/status.json"),
+      env,
+      { waitUntil: vi.fn() }
+    );
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get("Access-Control-Allow-Origin")).toBe("*");
+    expect(response.headers.get("Cache-Control")).toBe("public, max-age=10, s-maxage=10");
+    expect(await response.json()).toEqual({
+      name: "MaxPane",
+      state: "warning",
+      message: "size>hard",
+      crawler: { status: "ok", at: "2026-06-08T06:00:00.000Z", message: "updated", entries: 1 },
+      repackager: { path: "size>hard", status: 302, error: null, extension: null, at: "2026-06-08T08:00:00.000Z" }
+    });
+
+    const badge = await worker.fetch(
+      new Request("https://worker.example/packages/MaxPane/badge.svg"),
+      env,
+      { waitUntil: vi.fn() }
+    );
+    expect(badge.headers.get("Content-Type")).toBe("image/svg+xml; charset=utf-8");
+    const svg = await badge.text();
+    expect(svg).toContain("<title>repackager: size&#62;hard</title>");
+    expect(svg).toContain('fill="#dfb317"');
+  });
+
+  it("reports an unknown status when logs.json and analytics are unavailable", async () => {
+    globalThis.fetch = vi.fn(async () => new Response("down", { status: 503 }));
+
+    const response = await worker.fetch(
+      new Request("https://worker.example/packages/Nobody/status.json"),
+      {},
+      { waitUntil: vi.fn() }
+    );
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toMatchObject({ state: "unknown", crawler: null, repackager: null });
+  });
+
+  it("keeps a package's status summary in the edge cache for both formats", async () => {
+    globalThis.fetch = vi.fn(async () => new Response("down", { status: 503 }));
+    const entries = new Map();
+    cachePut.mockImplementation(async (key, resp) => {
+      entries.set(key.url, { body: await resp.text(), headers: [...resp.headers] });
+    });
+    cacheMatch.mockImplementation(async (key) => {
+      const entry = entries.get(key.url);
+      return entry && new Response(entry.body, { headers: entry.headers });
+    });
+    const env = { ANALYTICS_ACCOUNT_ID: "acct", ANALYTICS_API_TOKEN: "token" };
+
+    const waitUntil = vi.fn();
+    await worker.fetch(new Request("https://worker.example/packages/MaxPane/status.json"), env, { waitUntil });
+    await Promise.all(waitUntil.mock.calls.map(([p]) => p));
+    const calls = globalThis.fetch.mock.calls.length;
+    expect(calls).toBeGreaterThan(0);
+
+    const [key, stored] = cachePut.mock.calls[0];
+    expect(key.url).toBe("https://worker.example/packages/MaxPane/status.json");
+    expect(stored.headers.get("Cache-Control")).toBe("public, max-age=10, s-maxage=10");
+
+    const badge = await worker.fetch(
+      new Request("https://worker.example/packages/MaxPane/badge.svg?v=2"),
+      env,
+      { waitUntil: vi.fn() }
+    );
+    expect(await badge.text()).toContain("<title>repackager: unknown</title>");
+    const again = await worker.fetch(
+      new Request("https://worker.example/packages/MaxPane/status.json"),
+      env,
+      { waitUntil: vi.fn() }
+    );
+    expect(await again.json()).toMatchObject({ name: "MaxPane", state: "unknown" });
+    expect(globalThis.fetch).toHaveBeenCalledTimes(calls);
+    expect(cachePut).toHaveBeenCalledTimes(1);
+  });
+
+  it("inspects the tail with Range requests and streams the flattened archive", async () => {
+    const remoteUrl = "https://codeload.github.com/sublime-treesitter/TreeSitter/zip/1.8.1";
+    const file = readFixture("TreeSitter-1.8.1.zip");
+    globalThis.fetch = createRangeFetchMock(remoteUrl, file);
+
+    const request = new Request(
+      `https://worker.example/packages/TreeSitter?url=${encodeURIComponent(remoteUrl)}`
+    );
+    const response = await worker.fetch(
+      request,
+      { ALLOW_HOSTS: "codeload.github.com" },
+      { waitUntil: vi.fn() }
+    );
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get("Server-Timing")).toContain("toc;desc=range");
+    expect(response.headers.get("Server-Timing")).toContain("path;desc=flatten-lossless");
+    expect(response.headers.get("Content-Disposition")).toContain('filename="TreeSitter.zip"');
+
+    const rangeCalls = globalThis.fetch.mock.calls.filter(([, init]) => init?.headers?.Range);
+    expect(rangeCalls).toHaveLength(1);
+    expect(rangeCalls[0][1].headers.Range).toBe(`bytes=0-${file.byteLength - 1}`);
+    expect(globalThis.fetch).toHaveBeenCalledWith(remoteUrl, plainGet);
+
+    const archive = unzipSync(new Uint8Array(await response.arrayBuffer()));
+    expect(archive).toHaveProperty("load.py");
+    expect(archive).toHaveProperty("src/build.py");
+  });
+
+  it("fetches the central directory separately when it starts before the tail window", async () => {
+    const remoteUrl = "https://codeload.github.com/example/big/zip/master";
+    const file = buildManyEntryZip(1500);
+    globalThis.fetch = createRangeFetchMock(remoteUrl, file);
+
+    const request = new Request(
+      `https://worker.example/packages/Big?url=${encodeURIComponent(remoteUrl)}`
+    );
+    const response = await worker.fetch(
+      request,
+      { ALLOW_HOSTS: "codeload.github.com" },
+      { waitUntil: vi.fn() }
+    );
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get("Server-Timing")).toContain("toc;desc=range");
+    const rangeCalls = globalThis.fetch.mock.calls.filter(([, init]) => init?.headers?.Range);
+    expect(rangeCalls).toHaveLength(2);
+
+    const archive = unzipSync(new Uint8Array(await response.arrayBuffer()));
+    expect(Object.keys(archive)).toHaveLength(1500);
+    expect(new TextDecoder().decode(archive[`${"d".repeat(60)}/file-1499.txt`])).toBe("1499");
+  });
+
+  it("falls back to the full download when the origin ignores Range", async () => {
+    const remoteUrl = "https://codeload.github.com/jisaacks/MaxPane/zip/master";
+    const file = readFixture("MaxPane-master.zip");
+    globalThis.fetch = createRangeFetchMock(remoteUrl, file, { honorRanges: false });
+
+    const request = new Request(
+      `https://worker.example/packages/MaxPane?url=${encodeURIComponent(remoteUrl)}`
+    );
+    const response = await worker.fetch(
+      request,
+      { ALLOW_HOSTS: "codeload.github.com" },
+      { waitUntil: vi.fn() }
+    );
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get("Server-Timing")).not.toContain("toc;desc=range");
+    const archive = unzipSync(new Uint8Array(await response.arrayBuffer()));
+    expect(archive).toHaveProperty("max_pane.py");
+  });
+
+  it("drops export-ignore and .sublime-package-ignore matches while flattening", async () => {
+    const remoteUrl = "https://codeload.github.com/example/Ignored/zip/master";
+    const enc = (t) => new TextEncoder().encode(t);
+    const file = zipSync({
+      "Ignored-master/.gitattributes": enc("tests/ export-ignore\n/.github export-ignore\n"),
+      "Ignored-master/.sublime-package-ignore": enc("screenshots/\n*.gif\n!demo.gif\n"),
+      "Ignored-master/plugin.py": enc("import sublime\n"),
+      "Ignored-master/tests/test_plugin.py": enc("assert True\n"),
+      "Ignored-master/.github/workflows/ci.yml": enc("on: push\n"),
+      "Ignored-master/screenshots/dark.png": new Uint8Array([1, 2, 3]),
+      "Ignored-master/spinner.gif": new Uint8Array([4, 5, 6]),
+      "Ignored-master/demo.gif": new Uint8Array([7, 8, 9])
+    });
+
+    for (const mock of [createFetchMock(remoteUrl, file), createRangeFetchMock(remoteUrl, file)]) {
+      globalThis.fetch = mock;
+      const request = new Request(
+        `https://worker.example/packages/Ignored?url=${encodeURIComponent(remoteUrl)}`
+      );
+      const response = await worker.fetch(
+        request,
+        { ALLOW_HOSTS: "codeload.github.com" },
+        { waitUntil: vi.fn() }
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.headers.get("Server-Timing")).toContain("exclude;desc=4");
+      const archive = unzipSync(new Uint8Array(await response.arrayBuffer()));
+      expect(Object.keys(archive).sort()).toEqual([
+        ".gitattributes",
+        ".sublime-package-ignore",
+        "demo.gif",
+        "plugin.py"
+      ]);
+      expect(new TextDecoder().decode(archive["plugin.py"])).toBe("import sublime\n");
+    }
+  });
+
+  it("rebuilds an unflattened archive when entries are excluded", async () => {
+    const remoteUrl = "https://codeload.github.com/example/Flat/zip/master";
+    const enc = (t) => new TextEncoder().encode(t);
+    const file = zipSync({
+      ".gitattributes": enc("*.md export-ignore\n"),
+      "plugin.py": enc("print(1)\n"),
+      "README.md": enc("# Flat\n")
+    });
+    globalThis.fetch = createFetchMock(remoteUrl, file);
+
+    const request = new Request(
+      `https://worker.example/packages/Flat?url=${encodeURIComponent(remoteUrl)}`
+    );
+    const response = await worker.fetch(
+      request,
+      { ALLOW_HOSTS: "codeload.github.com" },
+      { waitUntil: vi.fn() }
+    );
+
+    expect(response.headers.get("Server-Timing")).toContain("path;desc=filter-lossless");
+    const archive = unzipSync(new Uint8Array(await response.arrayBuffer()));
+    expect(Object.keys(archive).sort()).toEqual([".gitattributes", "plugin.py"]);
+  });
+
+  it("rejects unsafe archives with 422 listing each offending entry", async () => {
+    const remoteUrl = "https://codeload.github.com/example/Evil/zip/master";
+    const file = zipSync({
+      "Evil-master/plugin.py": new TextEncoder().encode("print(1)\n"),
+      "Evil-master/../../.bashrc": new TextEncoder().encode("rm -rf ~\n"),
+      "Evil-master\\win.py": new TextEncoder().encode("\n")
+    });
+
+    for (const mock of [createFetchMock(remoteUrl, file), createRangeFetchMock(remoteUrl, file)]) {
+      cachePut.mockClear();
+      globalThis.fetch = mock;
+      const request = new Request(
+        `https://worker.example/packages/Evil?url=${encodeURIComponent(remoteUrl)}`
+      );
+      const response = await worker.fetch(
+        request,
+        { ALLOW_HOSTS: "codeload.github.com" },
+        { waitUntil: vi.fn() }
+      );
+
+      expect(response.status).toBe(422);
+      const text = await response.text();
+      expect(text).toContain('"Evil-master/../../.bashrc": path traversal');
+      expect(text).toContain('"Evil-master\\\\win.py": backslash path separator');
+      expect(text).not.toContain("plugin.py");
+      expect(cachePut).not.toHaveBeenCalled();
+    }
+  });
+
+  it("converts a .tar.gz source into a flattened .sublime-package ZIP", async () => {
+    const remoteUrl = "https://codeload.github.com/example/TarPkg/tar.gz/1.0.0";
+    globalThis.fetch = createFetchMock(remoteUrl, readFixture("TarPkg-1.0.0.tar.gz"));
+
+    const request = new Request(
+      `https://worker.example/packages/TarPkg?url=${encodeURIComponent(remoteUrl)}`
+    );
+    const response = await worker.fetch(
+      request,
+      { ALLOW_HOSTS: "codeload.github.com" },
+      { waitUntil: vi.fn() }
+    );
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get("Server-Timing")).toContain("source;desc=tar-gz");
+    expect(response.headers.get("Server-Timing")).toContain("path;desc=convert");
+    expect(response.headers.get("Content-Disposition")).toContain('filename="TarPkg.sublime-package"');
+    expect(cachePut).toHaveBeenCalled();
+
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    const archive = unzipSync(bytes);
+    expect(Object.keys(archive).filter((n) => !n.endsWith(".txt")).sort()).toEqual([
+      "README.md",
+      "bin/helper",
+      "plugin.py"
+    ]);
+    expect(new TextDecoder().decode(archive["plugin.py"])).toBe("import sublime\n");
+    expect(archive["README.md"].byteLength).toBe(10090);
+
+    const toc = parseZipTOC(bytes);
+    expect(toc.comment).toBe("ae6249d986870584d4ef603c2e92918b3a0a92a2");
+    const helper = toc.entries.find((e) => e.name === "bin/helper");
+    expect((helper.extAttrs >>> 16) & 0o777).toBe(0o775);
+    expect(toc.entries.find((e) => e.name === "README.md").method).toBe(8);
+  });
+
+  it("uses .zip for a tarball carrying the .no-sublime-package marker", async () => {
+    const remoteUrl = "https://codeload.github.com/example/Marked/tar.gz/main";
+    globalThis.fetch = createFetchMock(remoteUrl, gzipSync(buildTar({
+      "Marked-main/.no-sublime-package": "",
+      "Marked-main/lib/binary.py": "print(2)\n"
+    })));
+
+    const request = new Request(
+      `https://worker.example/packages/Marked?url=${encodeURIComponent(remoteUrl)}`
+    );
+    const response = await worker.fetch(
+      request,
+      { ALLOW_HOSTS: "codeload.github.com" },
+      { waitUntil: vi.fn() }
+    );
+
+    expect(response.headers.get("Content-Disposition")).toContain('filename="Marked.zip"');
+    const archive = unzipSync(new Uint8Array(await response.arrayBuffer()));
+    expect(Object.keys(archive).sort()).toEqual([".no-sublime-package", "lib/binary.py"]);
+  });
+
+  it("redirects to gzip data that is not a tarball instead of serving it as a ZIP", async () => {
+    const remoteUrl = "https://codeload.github.com/example/Gz/zip/main";
+    globalThis.fetch = createFetchMock(remoteUrl, gzipSync(new TextEncoder().encode("not a tar")));
+
+    const request = new Request(
+      `https://worker.example/packages/Gz?url=${encodeURIComponent(remoteUrl)}`
+    );
+    const response = await worker.fetch(
+      request,
+      { ALLOW_HOSTS: "codeload.github.com" },
+      { waitUntil: vi.fn() }
+    );
+
+    expect(response.status).toBe(302);
+    expect(response.headers.get("Location")).toBe(remoteUrl);
+    expect(response.headers.get("X-Fallback-Reason")).toBe("unreadable_archive");
+    expect(response.headers.get("Server-Timing")).toContain("reason;desc=tar-unreadable");
+  });
+
+  it("redirects to a truncated tarball", async () => {
+    const remoteUrl = "https://codeload.github.com/example/Cut/tar.gz/main";
+    const tar = gunzipSync(readFixture("TarPkg-1.0.0.tar.gz"));
+    globalThis.fetch = createFetchMock(remoteUrl, gzipSync(tar.subarray(0, 700)));
+
+    const response = await worker.fetch(
+      new Request(`https://worker.example/packages/Cut?url=${encodeURIComponent(remoteUrl)}`),
+      { ALLOW_HOSTS: "codeload.github.com" },
+      { waitUntil: vi.fn() }
+    );
+
+    expect(response.status).toBe(302);
+    expect(response.headers.get("X-Fallback-Reason")).toBe("unreadable_archive");
+  });
+
+  it("describes the package in manifest.json without downloading the body", async () => {
+    const remoteUrl = "https://codeload.github.com/sublime-treesitter/TreeSitter/zip/1.8.1";
+    const file = readFixture("TreeSitter-1.8.1.zip");
+    globalThis.fetch = createRangeFetchMock(remoteUrl, file);
+
+    const response = await worker.fetch(
+      new Request(
+        `https://worker.example/packages/TreeSitter/manifest.json?url=${encodeURIComponent(remoteUrl)}`
+      ),
+      { ALLOW_HOSTS: "codeload.github.com" },
+      { waitUntil: vi.fn() }
+    );
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get("Content-Type")).toContain("application/json");
+    const manifest = await response.json();
+    expect(manifest).toMatchObject({
+      name: "TreeSitter",
+      source: "zip",
+      toc: "range",
+      flatten: true,
+      prefix: "TreeSitter-1.8.1/",
+      rootMarker: true,
+      extension: "zip",
+      path: "flatten-lossless",
+      size: { contentLength: file.byteLength, redirect: null }
+    });
+    const names = manifest.entries.map((e) => e.name);
+    expect(names).toContain("load.py");
+    expect(names).toContain(".no-sublime-package");
+    expect(names).not.toContain("");
+    expect(names).not.toContain("TreeSitter-1.8.1/");
+    const loader = manifest.entries.find((e) => e.name === "load.py");
+    expect(loader).toMatchObject({ isDir: false, excluded: false });
+    expect(["stored", "deflate"]).toContain(loader.method);
+
+    expect(globalThis.fetch).not.toHaveBeenCalledWith(remoteUrl, plainGet);
+    expect(cachePut).not.toHaveBeenCalled();
+  });
+
+  it("reports the size cap that would redirect in manifest.json", async () => {
+    const remoteUrl = "https://codeload.github.com/jisaacks/MaxPane/zip/master";
+    const file = readFixture("MaxPane-master.zip");
+    globalThis.fetch = createRangeFetchMock(remoteUrl, file, { honorRanges: false });
+
+    const response = await worker.fetch(
+      new Request(
+        `https://worker.example/packages/MaxPane/manifest.json?url=${encodeURIComponent(remoteUrl)}`
+      ),
+      { ALLOW_HOSTS: "codeload.github.com", MAX_ZIP_BYTES: "1000", CPU_REPACKAGE_BYTES: "500" },
+      { waitUntil: vi.fn() }
+    );
+
+    const manifest = await response.json();
+    expect(manifest.size).toEqual({
+      contentLength: file.byteLength,
+      maxZipBytes: 1000,
+      cpuRepackageBytes: 500,
+      redirect: "size>hard"
+    });
+    expect(manifest.entries).toBeUndefined();
+    expect(globalThis.fetch).not.toHaveBeenCalledWith(remoteUrl, plainGet);
+  });
+
+  it("lists converted tarball entries in manifest.json", async () => {
+    const remoteUrl = "https://codeload.github.com/example/Tarred/tar.gz/main";
+    globalThis.fetch = createFetchMock(
+      remoteUrl,
+      gzipSync(buildTar({ "Tarred-main/plugin.py": "print(1)\n", "Tarred-main/README.md": "hi\n" }))
+    );
+
+    const response = await worker.fetch(
+      new Request(
+        `https://worker.example/packages/Tarred/manifest.json?url=${encodeURIComponent(remoteUrl)}`
+      ),
+      { ALLOW_HOSTS: "codeload.github.com" },
+      { waitUntil: vi.fn() }
+    );
+
+    const manifest = await response.json();
+    expect(manifest).toMatchObject({
+      source: "tar.gz",
+      toc: "download",
+      prefix: "Tarred-main/",
+      extension: "sublime-package",
+      path: "convert"
+    });
+    expect(manifest.entries.map((e) => e.name).sort()).toEqual(["README.md", "plugin.py"]);
+  });
+
+  it("injects package-metadata.json from query parameters while streaming the rebuild", async () => {
+    const remoteUrl = "https://codeload.github.com/sublime-treesitter/TreeSitter/zip/1.8.1";
+    globalThis.fetch = createRangeFetchMock(remoteUrl, readFixture("TreeSitter-1.8.1.zip"));
+
+    const response = await worker.fetch(
+      new Request(
+        `https://worker.example/packages/TreeSitter?url=${encodeURIComponent(remoteUrl)}`
+          + "&metadata.version=1.8.1&metadata.dependencies=a,b"
+      ),
+      { ALLOW_HOSTS: "codeload.github.com" },
+      { waitUntil: vi.fn() }
+    );
+
+    expect(response.headers.get("Server-Timing")).toContain("toc;desc=range");
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    const archive = unzipSync(bytes);
+    expect(archive).toHaveProperty("load.py");
+    const json = archive["package-metadata.json"];
+    expect(JSON.parse(new TextDecoder().decode(json))).toEqual({ version: "1.8.1", dependencies: ["a", "b"] });
+
+    const entry = parseZipTOC(bytes).entries.find((e) => e.name === "package-metadata.json");
+    expect(entry).toMatchObject({ method: 0, crc32: crc32(json), uncompSize: json.byteLength });
+  });
+
+  it("replaces an existing package-metadata.json without flattening", async () => {
+    const remoteUrl = "https://codeload.github.com/example/Rooted/zip/main";
+    const source = zipSync({
+      "plugin.py": new TextEncoder().encode("print(1)\n"),
+      "package-metadata.json": new TextEncoder().encode('{"version": "0.0.1"}')
+    });
+    globalThis.fetch = createFetchMock(remoteUrl, source);
+
+    const response = await worker.fetch(
+      new Request(
+        `https://worker.example/packages/Rooted?url=${encodeURIComponent(remoteUrl)}&metadata.version=2.0.0`
+      ),
+      { ALLOW_HOSTS: "codeload.github.com" },
+      { waitUntil: vi.fn() }
+    );
+
+    expect(response.headers.get("Server-Timing")).toContain("path;desc=metadata-lossless");
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    const names = parseZipTOC(bytes).entries.map((e) => e.name);
+    expect(names.filter((n) => n === "package-metadata.json")).toHaveLength(1);
+    const archive = unzipSync(bytes);
+    expect(JSON.parse(new TextDecoder().decode(archive["package-metadata.json"]))).toEqual({ version: "2.0.0" });
+    expect(new TextDecoder().decode(archive["plugin.py"])).toBe("print(1)\n");
+  });
+
+  it("accepts POSTed metadata and caches it under a GET key", async () => {
+    const remoteUrl = "https://codeload.github.com/jisaacks/MaxPane/zip/master";
+    globalThis.fetch = createFetchMock(remoteUrl, readFixture("MaxPane-master.zip"));
+    const url = `https://worker.example/packages/MaxPane?url=${encodeURIComponent(remoteUrl)}`;
+
+    const response = await worker.fetch(
+      new Request(url, { method: "POST", body: JSON.stringify({ version: "1.0.0" }) }),
+      { ALLOW_HOSTS: "codeload.github.com" },
+      { waitUntil: vi.fn() }
+    );
+
+    const archive = unzipSync(new Uint8Array(await response.arrayBuffer()));
+    expect(JSON.parse(new TextDecoder().decode(archive["package-metadata.json"]))).toEqual({ version: "1.0.0" });
+
+    const [key] = cachePut.mock.calls[0];
+    expect(key.method).toBe("GET");
+    expect(new URL(key.url).searchParams.get("metadata-sha256")).toMatch(/^[0-9a-f]{64}$/);
+
+    const invalid = await worker.fetch(
+      new Request(url, { method: "POST", body: "not json" }),
+      { ALLOW_HOSTS: "codeload.github.com" },
+      { waitUntil: vi.fn() }
+    );
+    expect(invalid.status).toBe(400);
+  });
+
+  it("stores rebuilt packages in the artifact bucket keyed by the upstream ETag", async () => {
+    const remoteUrl = "https://codeload.github.com/jisaacks/MaxPane/zip/master";
+    const bucket = createMemoryBucket();
+    const download = createFetchMock(remoteUrl, readFixture("MaxPane-master.zip"));
+    globalThis.fetch = vi.fn((input, init) =>
+      init?.method === "HEAD"
+        ? Promise.resolve(new Response(null, { headers: { ETag: '"upstream-1"' } }))
+        : download(input, init)
+    );
+    const env = { ALLOW_HOSTS: "codeload.github.com", ARTIFACTS: bucket };
+    const request = () =>
+      new Request(`https://worker.example/packages/MaxPane?url=${encodeURIComponent(remoteUrl)}`);
+
+    const waitUntil = vi.fn();
+    const first = await worker.fetch(request(), env, { waitUntil });
+    const body = await first.arrayBuffer();
+    await Promise.all(waitUntil.mock.calls.map(([p]) => p));
+    expect(artifactKeys(bucket)).toHaveLength(1);
+    const [key] = artifactKeys(bucket);
+    expect(key).toMatch(/^packages\/[0-9a-f]{64}\/[0-9a-f]{64}$/);
+
+    // Evicted from the edge cache: served from the bucket without a download.
+    download.mockClear();
+    cachePut.mockClear();
+    const second = await worker.fetch(request(), env, { waitUntil: vi.fn() });
+    expect(second.status).toBe(200);
+    expect(second.headers.get("Server-Timing")).toContain("store;desc=hit");
+    expect(second.headers.get("ETag")).toBe(first.headers.get("ETag"));
+    expect(second.headers.get("Content-Disposition")).toContain('filename="MaxPane.sublime-package"');
+    expect(new Uint8Array(await second.arrayBuffer())).toEqual(new Uint8Array(body));
+    expect(download).not.toHaveBeenCalled();
+    expect(cachePut).toHaveBeenCalled();
+  });
+
+  it("writes an analytics data point for each package request", async () => {
+    const remoteUrl = "https://codeload.github.com/jisaacks/MaxPane/zip/master";
+    const file = readFixture("MaxPane-master.zip");
+    globalThis.fetch = createFetchMock(remoteUrl, file);
+    const ANALYTICS = { writeDataPoint: vi.fn() };
+    const env = { ALLOW_HOSTS: "codeload.github.com", ANALYTICS };
+    const request = () =>
+      new Request(`https://worker.example/packages/MaxPane?url=${encodeURIComponent(remoteUrl)}`);
+
+    const response = await worker.fetch(request(), env, { waitUntil: vi.fn() });
+    const served = (await response.arrayBuffer()).byteLength;
+
+    expect(ANALYTICS.writeDataPoint).toHaveBeenCalledTimes(1);
+    const point = ANALYTICS.writeDataPoint.mock.calls[0][0];
+    expect(point.blobs).toEqual(["MaxPane", "codeload.github.com", "flatten-lossless", "", "sublime-package"]);
+    expect(point.indexes).toEqual(["codeload.github.com"]);
+    expect(point.doubles.slice(0, 3)).toEqual([200, file.byteLength, served]);
+    expect(point.doubles[3]).toBeGreaterThanOrEqual(0);
+
+    cacheMatch.mockResolvedValueOnce(new Response("cached", { headers: { "Content-Length": "6" } }));
+    await worker.fetch(request(), env, { waitUntil: vi.fn() });
+    expect(ANALYTICS.writeDataPoint.mock.calls[1][0].blobs[2]).toBe("cache-hit");
+    expect(ANALYTICS.writeDataPoint.mock.calls[1][0].doubles.slice(0, 3)).toEqual([200, 0, 6]);
+  });
+
+  it("answers 429 when a rate limit is exhausted but serves cache hits regardless", async () => {
+    const remoteUrl = "https://codeload.github.com/jisaacks/MaxPane/zip/master";
+    globalThis.fetch = createFetchMock(remoteUrl, readFixture("MaxPane-master.zip"));
+    const take = vi.fn(async () => Response.json({ ok: false, retryAfter: 12 }));
+    const RATE_LIMITER = { idFromName: (name) => name, get: () => ({ fetch: take }) };
+    const env = { ALLOW_HOSTS: "codeload.github.com", RATE_LIMITER };
+    const request = () =>
+      new Request(`https://worker.example/packages/MaxPane?url=${encodeURIComponent(remoteUrl)}`, {
+        headers: { "CF-Connecting-IP": "203.0.113.7" }
+      });
+
+    const limited = await worker.fetch(request(), env, { waitUntil: vi.fn() });
+    expect(limited.status).toBe(429);
+    expect(limited.headers.get("Retry-After")).toBe("12");
+    expect(await limited.text()).toBe("Rate limit exceeded for this client; retry in 12s");
+    expect(globalThis.fetch).not.toHaveBeenCalled();
+
+    take.mockClear();
+    cacheMatch.mockResolvedValueOnce(new Response("cached"));
+    const hit = await worker.fetch(request(), env, { waitUntil: vi.fn() });
+    expect(hit.status).toBe(200);
+    expect(take).not.toHaveBeenCalled();
+  });
+
+  it("coalesces concurrent misses for the same package into one build", async () => {
+    const remoteUrl = "https://codeload.github.com/jisaacks/MaxPane/zip/master";
+    const download = createFetchMock(remoteUrl, readFixture("MaxPane-master.zip"));
+    let release;
+    const gate = new Promise((resolve) => { release = resolve; });
+    globalThis.fetch = vi.fn(async (input, init) => {
+      await gate;
+      return download(input, init);
+    });
+    const env = { ALLOW_HOSTS: "codeload.github.com" };
+    const request = () =>
+      new Request(`https://worker.example/packages/MaxPane?url=${encodeURIComponent(remoteUrl)}`);
+
+    const pending = [1, 2, 3].map(() => worker.fetch(request(), env, { waitUntil: vi.fn() }));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    release();
+    const responses = await Promise.all(pending);
+
+    expect(download.mock.calls.filter(([, init]) => init?.method !== "HEAD")).toHaveLength(1);
+    expect(cachePut).toHaveBeenCalledTimes(1);
+    const bodies = await Promise.all(responses.map(async (r) => new Uint8Array(await r.arrayBuffer())));
+    expect(bodies[1]).toEqual(bodies[0]);
+    expect(bodies[2]).toEqual(bodies[0]);
+    expect(responses.map((r) => r.headers.get("ETag"))).toEqual(Array(3).fill(responses[0].headers.get("ETag")));
+    expect(responses[0].headers.get("Server-Timing")).not.toContain("coalesce");
+    expect(responses[1].headers.get("Server-Timing")).toContain("coalesce;desc=hit");
+
+    // Later misses start a new build.
+    await worker.fetch(request(), env, { waitUntil: vi.fn() });
+    expect(download.mock.calls.filter(([, init]) => init?.method !== "HEAD")).toHaveLength(2);
+  });
+
+  it("answers each coalesced caller's If-None-Match separately", async () => {
+    const remoteUrl = "https://codeload.github.com/jisaacks/MaxPane/zip/master";
+    globalThis.fetch = createFetchMock(remoteUrl, readFixture("MaxPane-master.zip"));
+    const env = { ALLOW_HOSTS: "codeload.github.com" };
+    const url = `https://worker.example/packages/MaxPane?url=${encodeURIComponent(remoteUrl)}`;
+    const etag = (await worker.fetch(new Request(url), env, { waitUntil: vi.fn() })).headers.get("ETag");
+
+    const [fresh, stale] = await Promise.all([
+      worker.fetch(new Request(url, { headers: { "If-None-Match": etag } }), env, { waitUntil: vi.fn() }),
+      worker.fetch(new Request(url), env, { waitUntil: vi.fn() })
+    ]);
+
+    expect(fresh.status).toBe(304);
+    expect(stale.status).toBe(200);
+    expect(stale.headers.get("Server-Timing")).toContain("coalesce;desc=hit");
+  });
+
+  it("gives each coalesced caller its own response rather than the leader's", async () => {
+    const remoteUrl = "https://codeload.github.com/jisaacks/MaxPane/zip/master";
+    const download = createFetchMock(remoteUrl, readFixture("MaxPane-master.zip"));
+    let release;
+    const gate = new Promise((resolve) => { release = resolve; });
+    globalThis.fetch = vi.fn(async (input, init) => {
+      await gate;
+      return download(input, init);
+    });
+    // What workerd does when one request touches another request's stream.
+    vi.spyOn(Response.prototype, "clone").mockImplementation(() => {
+      throw new Error("Cannot perform I/O on behalf of a different request");
+    });
+    const env = { ALLOW_HOSTS: "codeload.github.com" };
+    const request = () =>
+      new Request(`https://worker.example/packages/MaxPane?url=${encodeURIComponent(remoteUrl)}`);
+
+    const pending = [1, 2, 3].map(() => worker.fetch(request(), env, { waitUntil: vi.fn() }));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    release();
+    const responses = await Promise.all(pending);
+
+    expect(responses.map((r) => r.status)).toEqual([200, 200, 200]);
+    expect(new Set(responses.map((r) => r.body)).size).toBe(3);
+    const bodies = await Promise.all(responses.map(async (r) => new Uint8Array(await r.arrayBuffer())));
+    expect(bodies[1]).toEqual(bodies[0]);
+    expect(bodies[2]).toEqual(bodies[0]);
+    expect(download.mock.calls.filter(([, init]) => init?.method !== "HEAD")).toHaveLength(1);
+  });
+
+  it("serves callers coalesced onto a single-pass build from the leader's cache entry", async () => {
+    const remoteUrl = "https://codeload.github.com/sublime-treesitter/TreeSitter/zip/1.8.1";
+    const download = createRangeFetchMock(remoteUrl, readFixture("TreeSitter-1.8.1.zip"));
+    let release;
+    const gate = new Promise((resolve) => { release = resolve; });
+    globalThis.fetch = vi.fn(async (input, init) => {
+      await gate;
+      return download(input, init);
+    });
+    const entries = new Map();
+    cachePut.mockImplementation(async (key, resp) => {
+      entries.set(key.url, { bytes: new Uint8Array(await resp.arrayBuffer()), headers: [...resp.headers] });
+    });
+    cacheMatch.mockImplementation(async (key) => {
+      const entry = entries.get(key.url);
+      return entry && new Response(entry.bytes, { headers: entry.headers });
+    });
+    const env = { ALLOW_HOSTS: "codeload.github.com" };
+    const request = () =>
+      new Request(`https://worker.example/packages/TreeSitter?url=${encodeURIComponent(remoteUrl)}`);
+
+    const pending = [1, 2].map(() => worker.fetch(request(), env, { waitUntil: vi.fn() }));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    release();
+    const [leader, waiter] = await Promise.all(pending);
+
+    expect(leader.headers.get("Server-Timing")).toContain("toc;desc=range");
+    expect(waiter.headers.get("Server-Timing")).toContain("coalesce;desc=hit");
+    expect(waiter.headers.get("ETag")).toBe(leader.headers.get("ETag"));
+    expect(new Uint8Array(await waiter.arrayBuffer())).toEqual(new Uint8Array(await leader.arrayBuffer()));
+    expect(download.mock.calls.filter(([, init]) => init?.method !== "HEAD" && !init?.headers?.Range)).toHaveLength(1);
+  });
+
+  it("looks up commit-pinned artifacts before any upstream request", async () => {
+    const remoteUrl = "https://codeload.github.com/example/Pinned/zip/ae6249d986870584d4ef603c2e92918b3a0a92a2";
+    const bucket = createMemoryBucket();
+    globalThis.fetch = createFetchMock(remoteUrl, readFixture("MaxPane-master.zip"));
+    const env = { ALLOW_HOSTS: "codeload.github.com", ARTIFACTS: bucket };
+    const url = `https://worker.example/packages/Pinned?url=${encodeURIComponent(remoteUrl)}`;
+
+    const waitUntil = vi.fn();
+    const first = await worker.fetch(new Request(url), env, { waitUntil });
+    await first.arrayBuffer();
+    await Promise.all(waitUntil.mock.calls.map(([p]) => p));
+
+    globalThis.fetch.mockClear();
+    const second = await worker.fetch(
+      new Request(url, { headers: { "If-None-Match": first.headers.get("ETag") } }),
+      env,
+      { waitUntil: vi.fn() }
+    );
+    expect(second.status).toBe(304);
+    expect(globalThis.fetch).not.toHaveBeenCalled();
+  });
+
+  it("does not store artifacts without an upstream version", async () => {
+    const remoteUrl = "https://codeload.github.com/jisaacks/MaxPane/zip/master";
+    const bucket = createMemoryBucket();
+    globalThis.fetch = createFetchMock(remoteUrl, readFixture("MaxPane-master.zip"));
+
+    const waitUntil = vi.fn();
+    const response = await worker.fetch(
+      new Request(`https://worker.example/packages/MaxPane?url=${encodeURIComponent(remoteUrl)}`),
+      { ALLOW_HOSTS: "codeload.github.com", ARTIFACTS: bucket },
+      { waitUntil }
+    );
+    await response.arrayBuffer();
+    await Promise.all(waitUntil.mock.calls.map(([p]) => p));
+    expect(artifactKeys(bucket)).toHaveLength(0);
+  });
+
+  it("hides the admin API unless ADMIN_TOKEN is configured", async () => {
+    const response = await worker.fetch(
+      new Request("https://worker.example/admin/cache", { headers: { Authorization: "Bearer x" } }),
+      {},
+      { waitUntil: vi.fn() }
+    );
+    expect(response.status).toBe(404);
+  });
+
+  it("rejects admin requests without the bearer token and logs the attempt", async () => {
+    const log = vi.spyOn(console, "log").mockImplementation(() => {});
+    const env = { ADMIN_TOKEN: "s3cret", ARTIFACTS: createMemoryBucket() };
+
+    for (const headers of [{}, { Authorization: "Bearer wrong" }, { Authorization: "Basic s3cret" }]) {
+      const response = await worker.fetch(
+        new Request("https://worker.example/admin/cache", { headers }),
+        env,
+        { waitUntil: vi.fn() }
+      );
+      expect(response.status).toBe(401);
+      expect(response.headers.get("WWW-Authenticate")).toContain("Bearer");
+    }
+    expect(log).toHaveBeenCalledTimes(3);
+    expect(JSON.parse(log.mock.calls[0][0])).toMatchObject({ admin: true, action: "GET /admin/cache", status: 401 });
+  });
+
+  it("lists stored artifacts and purges a package key from both tiers", async () => {
+    const log = vi.spyOn(console, "log").mockImplementation(() => {});
+    const remoteUrl = "https://codeload.github.com/jisaacks/MaxPane/zip/master";
+    const bucket = createMemoryBucket();
+    const download = createFetchMock(remoteUrl, readFixture("MaxPane-master.zip"));
+    globalThis.fetch = vi.fn((input, init) =>
+      init?.method === "HEAD"
+        ? Promise.resolve(new Response(null, { headers: { ETag: '"upstream-1"' } }))
+        : download(input, init)
+    );
+    const env = { ALLOW_HOSTS: "codeload.github.com", ARTIFACTS: bucket, ADMIN_TOKEN: "s3cret" };
+    const packageUrl = `https://worker.example/packages/MaxPane?url=${encodeURIComponent(remoteUrl)}`;
+    const auth = { Authorization: "Bearer s3cret" };
+
+    const waitUntil = vi.fn();
+    await (await worker.fetch(new Request(packageUrl), env, { waitUntil })).arrayBuffer();
+    await Promise.all(waitUntil.mock.calls.map(([p]) => p));
+
+    const listed = await worker.fetch(
+      new Request("https://worker.example/admin/cache?limit=10", { headers: auth }),
+      env,
+      { waitUntil: vi.fn() }
+    );
+    expect(listed.status).toBe(200);
+    const { artifacts } = await listed.json();
+    expect(artifacts).toHaveLength(1);
+    expect(artifacts[0]).toMatchObject({ cacheKey: packageUrl, remoteUrl, version: 'etag:"upstream-1"' });
+
+    const purged = await worker.fetch(
+      new Request(
+        `https://worker.example/admin/cache?key=${encodeURIComponent(packageUrl)}`,
+        { method: "DELETE", headers: auth }
+      ),
+      env,
+      { waitUntil: vi.fn() }
+    );
+    expect(purged.status).toBe(200);
+    expect(await purged.json()).toMatchObject({ key: packageUrl, edge: true, zone: null });
+    expect(cacheDelete.mock.calls[0][0].url).toBe(packageUrl);
+    expect(artifactKeys(bucket)).toHaveLength(0);
+
+    const actions = log.mock.calls.map(([line]) => JSON.parse(line));
+    expect(actions).toEqual([
+      expect.objectContaining({ action: "GET /admin/cache", status: 200, count: 1 }),
+      expect.objectContaining({ action: "DELETE /admin/cache", status: 200, key: packageUrl, artifacts: 1 })
+    ]);
+
+    const relisted = await worker.fetch(
+      new Request("https://worker.example/admin/cache", { headers: auth }),
+      env,
+      { waitUntil: vi.fn() }
+    );
+    expect((await relisted.json()).artifacts).toEqual([]);
+  });
+
+  it("purges forge routes by the archive they resolve to", async () => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    const remoteUrl = "https://codeload.github.com/jisaacks/MaxPane/zip/master";
+    const bucket = createMemoryBucket();
+    const download = createFetchMock(remoteUrl, readFixture("MaxPane-master.zip"));
+    globalThis.fetch = vi.fn((input, init) =>
+      init?.method === "HEAD"
+        ? Promise.resolve(new Response(null, { headers: { ETag: '"upstream-1"' } }))
+        : download(input, init)
+    );
+    const env = { ALLOW_HOSTS: "codeload.github.com", ARTIFACTS: bucket, ADMIN_TOKEN: "s3cret" };
+    const forgeUrl = "https://worker.example/github/jisaacks/MaxPane/master";
+
+    const waitUntil = vi.fn();
+    await (await worker.fetch(new Request(forgeUrl), env, { waitUntil })).arrayBuffer();
+    await Promise.all(waitUntil.mock.calls.map(([p]) => p));
+    expect(artifactKeys(bucket)).toHaveLength(1);
+
+    const purged = await worker.fetch(
+      new Request("https://worker.example/admin/cache?key=/github/jisaacks/MaxPane/master", {
+        method: "DELETE",
+        headers: { Authorization: "Bearer s3cret" }
+      }),
+      env,
+      { waitUntil: vi.fn() }
+    );
+    expect(purged.status).toBe(200);
+    expect(await purged.json()).toMatchObject({ key: forgeUrl, edge: true });
+    expect(cacheDelete.mock.calls[0][0].url).toBe(forgeUrl);
+    expect(artifactKeys(bucket)).toHaveLength(0);
+
+    const refused = await worker.fetch(
+      new Request("https://worker.example/admin/cache?key=/github/jisaacks", {
+        method: "DELETE",
+        headers: { Authorization: "Bearer s3cret" }
+      }),
+      env,
+      { waitUntil: vi.fn() }
+    );
+    expect(refused.status).toBe(400);
+  });
+
+  it("prewarms a batch of packages under their public cache keys", async () => {
+    const log = vi.spyOn(console, "log").mockImplementation(() => {});
+    const maxPane = "https://codeload.github.com/jisaacks/MaxPane/zip/master";
+    const treeSitter = "https://codeload.github.com/sublimelsp/TreeSitter/zip/main";
+    const files = { [maxPane]: readFixture("MaxPane-master.zip"), [treeSitter]: readFixture("TreeSitter-1.8.1.zip") };
+    globalThis.fetch = vi.fn(async (input) =>
+      files[input] ? new Response(files[input]) : new Response(null, { status: 404 })
+    );
+    const env = { ALLOW_HOSTS: "codeload.github.com", ADMIN_TOKEN: "s3cret", PREWARM_CONCURRENCY: "2" };
+    const batch = [
+      { name: "MaxPane", url: maxPane },
+      { name: "Tree Sitter", url: treeSitter },
+      { name: "Gone", url: "https://codeload.github.com/nobody/Gone/zip/main" },
+      { name: "Elsewhere", url: "https://example.com/x.zip" }
+    ];
+
+    const waitUntil = vi.fn();
+    const response = await worker.fetch(
+      new Request("https://worker.example/prewarm", {
+        method: "POST",
+        headers: { Authorization: "Bearer s3cret" },
+        body: JSON.stringify(batch)
+      }),
+      env,
+      { waitUntil }
+    );
+
+    expect(response.status).toBe(200);
+    const report = await response.json();
+    expect(report).toMatchObject({ built: 2, failed: 2 });
+    expect(report.packages).toEqual([
+      expect.objectContaining({ name: "MaxPane", status: 200, path: "flatten-lossless", extension: "sublime-package", error: null }),
+      expect.objectContaining({ name: "Tree Sitter", status: 200, path: "flatten-lossless", extension: "zip", error: null }),
+      expect.objectContaining({ name: "Gone", status: 502, path: "error", size: null, error: "upstream_status" }),
+      expect.objectContaining({ name: "Elsewhere", status: 403, error: "host_not_allowed" })
+    ]);
+    expect(report.packages[0].size).toBeGreaterThan(0);
+
+    await Promise.all(waitUntil.mock.calls.map(([p]) => p));
+    expect(cachePut.mock.calls.map(([key]) => key.url)).toEqual(expect.arrayContaining([
+      `https://worker.example/packages/MaxPane?url=${encodeURIComponent(maxPane)}`,
+      `https://worker.example/packages/Tree%20Sitter?url=${encodeURIComponent(treeSitter)}`
+    ]));
+    expect(JSON.parse(log.mock.calls.at(-1)[0])).toMatchObject({ action: "POST /prewarm", status: 200, count: 4, failed: 2 });
+  });
+
+  it("guards /prewarm with the admin token and validates the batch", async () => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    const env = { ADMIN_TOKEN: "s3cret" };
+    const prewarm = (init) => worker.fetch(new Request("https://worker.example/prewarm", init), env, { waitUntil: vi.fn() });
+    const auth = { Authorization: "Bearer s3cret" };
+
+    expect((await prewarm({ method: "POST", body: "[]" })).status).toBe(401);
+    const get = await prewarm({ headers: auth });
+    expect([get.status, get.headers.get("Allow")]).toEqual([405, "POST"]);
+    for (const body of ["{", "{}", JSON.stringify([{ name: "X" }])]) {
+      const response = await prewarm({ method: "POST", headers: auth, body });
+      expect(response.status).toBe(400);
+      expect(response.headers.get("X-Error-Code")).toBe("invalid_prewarm");
+    }
+  });
+
+  it("resolves /github/<owner>/<repo>/<ref> through the package pipeline", async () => {
+    const remoteUrl = "https://codeload.github.com/jisaacks/MaxPane/zip/master";
+    globalThis.fetch = createFetchMock(remoteUrl, readFixture("MaxPane-master.zip"));
+
+    const response = await worker.fetch(
+      new Request("https://worker.example/github/jisaacks/MaxPane/master"),
+      { ALLOW_HOSTS: "codeload.github.com" },
+      { waitUntil: vi.fn() }
+    );
+
+    expect(response.status).toBe(200);
+    expect(globalThis.fetch).toHaveBeenCalledWith(remoteUrl, plainGet);
+    expect(response.headers.get("Content-Disposition")).toContain('filename="MaxPane.sublime-package"');
+  });
+
+  it("lets ?name= override the package name on forge routes", async () => {
+    const remoteUrl = "https://bitbucket.org/workspace/Repo/get/1.0.0.zip";
+    globalThis.fetch = createFetchMock(remoteUrl, readFixture("MaxPane-master.zip"));
+
+    const response = await worker.fetch(
+      new Request("https://worker.example/bitbucket/workspace/Repo/1.0.0?name=Nice%20Name"),
+      { ALLOW_HOSTS: "bitbucket.org" },
+      { waitUntil: vi.fn() }
+    );
+
+    expect(response.headers.get("Content-Disposition")).toContain('filename="Nice Name.sublime-package"');
+  });
+
+  it("validates forge archive URLs against the allowlist", async () => {
+    globalThis.fetch = vi.fn();
+
+    const incomplete = await worker.fetch(
+      new Request("https://worker.example/gitlab/group/project"),
+      {},
+      { waitUntil: vi.fn() }
+    );
+    expect(incomplete.status).toBe(400);
+
+    const blocked = await worker.fetch(
+      new Request("https://worker.example/gitlab/group/project/main"),
+      { ALLOW_HOSTS: "codeload.github.com" },
+      { waitUntil: vi.fn() }
+    );
+    expect(blocked.status).toBe(403);
+    expect(globalThis.fetch).not.toHaveBeenCalled();
+  });
+
+  it("names the deny rule when refusing a source URL", async () => {
+    globalThis.fetch = vi.fn();
+    const remoteUrl = "https://codeload.github.com/evil/pkg/zip/main";
+
+    const response = await worker.fetch(
+      new Request(`https://worker.example/packages/X?url=${encodeURIComponent(remoteUrl)}`),
+      { ALLOW_HOSTS: "codeload.github.com,!codeload.github.com/evil" },
+      { waitUntil: vi.fn() }
+    );
+
+    expect(response.status).toBe(403);
+    expect(await response.text()).toBe('Host not permitted: denied by rule "!codeload.github.com/evil"');
+    expect(globalThis.fetch).not.toHaveBeenCalled();
+  });
+
+  it("follows redirects by hand and reports the chain", async () => {
+    const remoteUrl = "https://codeload.github.com/sublimehq/pkg/zip/main";
+    const moved = "https://codeload.github.com/sublimehq/pkg-renamed/zip/main";
+    const download = createFetchMock(moved, readFixture("MaxPane-master.zip"));
+    globalThis.fetch = vi.fn((input, init) =>
+      input === remoteUrl
+        ? Promise.resolve(new Response(null, { status: 301, headers: { Location: "/sublimehq/pkg-renamed/zip/main" } }))
+        : download(input, init)
+    );
+
+    const response = await worker.fetch(
+      new Request(`https://worker.example/packages/Pkg?url=${encodeURIComponent(remoteUrl)}`),
+      { ALLOW_HOSTS: "codeload.github.com/sublimehq" },
+      { waitUntil: vi.fn() }
+    );
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get("X-Upstream-Redirects")).toBe(`${remoteUrl} -> ${moved}`);
+    expect(response.headers.get("Server-Timing")).toContain("redirect;desc=1");
+    for (const [, init] of globalThis.fetch.mock.calls) {
+      expect(init.redirect).toBe("manual");
+    }
+  });
+
+  it("refuses a redirect hop that fails validation before requesting it", async () => {
+    const remoteUrl = "https://codeload.github.com/sublimehq/pkg/zip/main";
+    const hops = [
+      "https://codeload.github.com/other/pkg/zip/main",
+      "http://codeload.github.com/sublimehq/pkg/zip/main",
+      "https://127.0.0.1/pkg.zip"
+    ];
+    const expected = [
+      [403, `Redirect to ${hops[0]} refused: Host not permitted: no rule allows codeload.github.com/other/pkg/zip/main`],
+      [400, `Redirect to ${hops[1]} refused: Only https URLs are allowed`],
+      [400, `Redirect to ${hops[2]} refused: IP/localhost targets are not allowed: IPv4 loopback address 127.0.0.1 (127.0.0.0/8)`]
+    ];
+
+    for (const [i, hop] of hops.entries()) {
+      globalThis.fetch = vi.fn(async (input) =>
+        input === remoteUrl
+          ? new Response(null, { status: 302, headers: { Location: hop } })
+          : new Response("should not be requested")
+      );
+      const response = await worker.fetch(
+        new Request(`https://worker.example/packages/X?url=${encodeURIComponent(remoteUrl)}`),
+        { ALLOW_HOSTS: "codeload.github.com/sublimehq" },
+        { waitUntil: vi.fn() }
+      );
+
+      expect([response.status, await response.text()]).toEqual(expected[i]);
+      expect(globalThis.fetch.mock.calls.every(([input]) => input === remoteUrl)).toBe(true);
+    }
+  });
+
+  it("stops after MAX_REDIRECTS hops", async () => {
+    let n = 0;
+    globalThis.fetch = vi.fn(async () =>
+      new Response(null, { status: 302, headers: { Location: `https://codeload.github.com/loop/${++n}` } })
+    );
+    const remoteUrl = "https://codeload.github.com/loop/0";
+
+    const response = await worker.fetch(
+      new Request(`https://worker.example/packages/X?url=${encodeURIComponent(remoteUrl)}`),
+      { ALLOW_HOSTS: "codeload.github.com", MAX_REDIRECTS: "2" },
+      { waitUntil: vi.fn() }
+    );
+
+    expect(response.status).toBe(502);
+    expect(await response.text()).toBe("Too many upstream redirects (limit 2)");
+    expect(globalThis.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it("returns JSON errors with stable codes when the client accepts JSON", async () => {
+    const remoteUrl = "https://example.com/archive.zip";
+    globalThis.fetch = vi.fn();
+
+    const response = await worker.fetch(
+      new Request(`https://worker.example/packages/X?url=${encodeURIComponent(remoteUrl)}`, {
+        headers: { Accept: "application/json" }
+      }),
+      { ALLOW_HOSTS: "codeload.github.com" },
+      { waitUntil: vi.fn() }
+    );
+
+    expect(response.status).toBe(403);
+    expect(response.headers.get("Content-Type")).toBe("application/json; charset=utf-8");
+    expect(response.headers.get("X-Error-Code")).toBe("host_not_allowed");
+    expect(await response.json()).toEqual({
+      error: {
+        code: "host_not_allowed",
+        status: 403,
+        message: "Host not permitted: no rule allows example.com/archive.zip",
+        host: "example.com",
+        path: "/archive.zip",
+        rule: null
+      }
+    });
+    expect(globalThis.fetch).not.toHaveBeenCalled();
+  });
+
+  it("keeps text errors for other clients and tags them with the code", async () => {
+    const remoteUrl = "https://codeload.github.com/sublimehq/missing/zip/main";
+    globalThis.fetch = vi.fn(async () => new Response("gone", { status: 404 }));
+
+    const text = await worker.fetch(
+      new Request(`https://worker.example/packages/X?url=${encodeURIComponent(remoteUrl)}`),
+      { ALLOW_HOSTS: "codeload.github.com" },
+      { waitUntil: vi.fn() }
+    );
+    expect(text.status).toBe(502);
+    expect(text.headers.get("X-Error-Code")).toBe("upstream_status");
+    expect(await text.text()).toBe("Upstream error: 404");
+
+    const json = await worker.fetch(
+      new Request(`https://worker.example/packages/X?url=${encodeURIComponent(remoteUrl)}`, {
+        headers: { Accept: "text/html, application/problem+json;q=0.5" }
+      }),
+      { ALLOW_HOSTS: "codeload.github.com" },
+      { waitUntil: vi.fn() }
+    );
+    expect((await json.json()).error).toMatchObject({ code: "upstream_status", upstreamStatus: 404 });
+
+    const missing = await worker.fetch(
+      new Request("https://worker.example/packages/X", { headers: { Accept: "application/json;q=0" } }),
+      {},
+      { waitUntil: vi.fn() }
+    );
+    expect(missing.headers.get("X-Error-Code")).toBe("missing_url");
+    expect(await missing.text()).toBe("Missing ?url");
+  });
+
+  it("names the fallback reason when redirecting to the original archive", async () => {
+    const remoteUrl = "https://codeload.github.com/jisaacks/MaxPane/zip/master";
+    const file = readFixture("MaxPane-master.zip");
+    globalThis.fetch = createRangeFetchMock(remoteUrl, file, { honorRanges: false });
+
+    const response = await worker.fetch(
+      new Request(`https://worker.example/packages/MaxPane?url=${encodeURIComponent(remoteUrl)}`),
+      { ALLOW_HOSTS: "codeload.github.com", CPU_REPACKAGE_BYTES: "500" },
+      { waitUntil: vi.fn() }
+    );
+
+    expect(response.status).toBe(302);
+    expect(response.headers.get("Location")).toBe(remoteUrl);
+    expect(response.headers.get("X-Fallback-Reason")).toBe("too_large_to_repackage");
+    expect(response.headers.get("Server-Timing")).toBe("reason;desc=size>cpu");
+  });
+
+  it("retries retryable upstream statuses and reports the attempts", async () => {
+    const remoteUrl = "https://codeload.github.com/jisaacks/MaxPane/zip/master";
+    const file = readFixture("MaxPane-master.zip");
+    let gets = 0;
+    globalThis.fetch = vi.fn(async (input, init) => {
+      if (init?.method === "HEAD") return new Response(null, { status: 405 });
+      return ++gets === 1 ? new Response("busy", { status: 503 }) : new Response(file);
+    });
+
+    const response = await worker.fetch(
+      new Request(`https://worker.example/packages/MaxPane?url=${encodeURIComponent(remoteUrl)}`),
+      { ALLOW_HOSTS: "codeload.github.com", UPSTREAM_BACKOFF_MS: "0" },
+      { waitUntil: vi.fn() }
+    );
+
+    expect(response.status).toBe(200);
+    expect(gets).toBe(2);
+    const timing = response.headers.get("Server-Timing");
+    expect(timing).toMatch(/attempt;desc=origin-head-405;dur=\d+, attempt;desc=origin-get-503;dur=\d+, attempt;desc=origin-get-200;dur=\d+$/);
+  });
+
+  it("falls back to ?mirror= sources in order once retries are exhausted", async () => {
+    const remoteUrl = "https://codeload.github.com/jisaacks/MaxPane/zip/master";
+    const mirrors = ["https://gitlab.com/mirror/MaxPane.zip", "https://bitbucket.org/mirror/MaxPane.zip"];
+    const file = readFixture("MaxPane-master.zip");
+    globalThis.fetch = vi.fn(async (input, init) => {
+      if (input === remoteUrl) return new Response(null, { status: init?.method === "HEAD" ? 200 : 502 });
+      if (input === mirrors[1]) return new Response(file);
+      return new Response(null, { status: 404 });
+    });
+    const query = [remoteUrl, ...mirrors].map((u, i) => `${i ? "mirror" : "url"}=${encodeURIComponent(u)}`).join("&");
+
+    const response = await worker.fetch(
+      new Request(`https://worker.example/packages/MaxPane?${query}`),
+      { ALLOW_HOSTS: "codeload.github.com,gitlab.com,bitbucket.org", UPSTREAM_RETRIES: "1", UPSTREAM_BACKOFF_MS: "0" },
+      { waitUntil: vi.fn() }
+    );
+
+    expect(response.status).toBe(200);
+    expect(unzipSync(new Uint8Array(await response.arrayBuffer()))).toHaveProperty("max_pane.py");
+    expect(globalThis.fetch.mock.calls.map(([input, init]) => [input, init?.method ?? "GET"])).toEqual([
+      [remoteUrl, "HEAD"],
+      [remoteUrl, "GET"],
+      [remoteUrl, "GET"],
+      [mirrors[0], "GET"],
+      [mirrors[1], "GET"]
+    ]);
+    const outcomes = [...response.headers.get("Server-Timing").matchAll(/attempt;desc=([^;]+)/g)].map((m) => m[1]);
+    expect(outcomes).toEqual(["origin-head-200", "origin-get-502", "origin-get-502", "mirror1-get-404", "mirror2-get-200"]);
+  });
+
+  it("does not store a mirror's archive under the origin's artifact key", async () => {
+    const remoteUrl = "https://codeload.github.com/jisaacks/MaxPane/zip/master";
+    const mirror = "https://gitlab.com/mirror/MaxPane.zip";
+    const bucket = createMemoryBucket();
+    globalThis.fetch = vi.fn(async (input, init) => {
+      if (input === remoteUrl) {
+        return init?.method === "HEAD"
+          ? new Response(null, { headers: { ETag: '"origin-v1"' } })
+          : new Response(null, { status: 503 });
+      }
+      if (input === mirror) return new Response(readFixture("TreeSitter-1.8.1.zip"));
+      return new Response(null, { status: 404 });
+    });
+
+    const response = await worker.fetch(
+      new Request(`https://worker.example/packages/MaxPane?url=${encodeURIComponent(remoteUrl)}&mirror=${encodeURIComponent(mirror)}`),
+      {
+        ALLOW_HOSTS: "codeload.github.com,gitlab.com",
+        ARTIFACTS: bucket,
+        UPSTREAM_RETRIES: "0",
+        UPSTREAM_BACKOFF_MS: "0"
+      },
+      { waitUntil: vi.fn() }
+    );
+
+    expect(response.status).toBe(200);
+    expect(unzipSync(new Uint8Array(await response.arrayBuffer()))).toHaveProperty("load.py");
+    expect(artifactKeys(bucket)).toHaveLength(0);
+    const [stored] = cachePut.mock.calls[0];
+    expect(new URL(stored.url).searchParams.get("mirror")).toBe(mirror);
+  });
+
+  it("times out stalled upstream attempts", async () => {
+    const remoteUrl = "https://codeload.github.com/jisaacks/MaxPane/zip/master";
+    globalThis.fetch = vi.fn((input, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener("abort", () => reject(new Error("aborted")));
+    }));
+
+    const response = await worker.fetch(
+      new Request(`https://worker.example/packages/MaxPane?url=${encodeURIComponent(remoteUrl)}`, {
+        headers: { Accept: "application/json" }
+      }),
+      { ALLOW_HOSTS: "codeload.github.com", UPSTREAM_TIMEOUT_MS: "20", UPSTREAM_RETRIES: "0" },
+      { waitUntil: vi.fn() }
+    );
+
+    expect(response.status).toBe(504);
+    expect((await response.json()).error).toEqual({
+      code: "upstream_timeout",
+      status: 504,
+      message: "Upstream timed out after 20 ms",
+      url: remoteUrl
+    });
+    expect(response.headers.get("Server-Timing")).toContain("attempt;desc=origin-get-timeout");
+  });
+
+  it("times out an upstream body that stalls after the headers", async () => {
+    const remoteUrl = "https://codeload.github.com/jisaacks/MaxPane/zip/master";
+    globalThis.fetch = vi.fn(async (input, init) => {
+      if (init?.method === "HEAD") return new Response(null, { status: 405 });
+      return new Response(new ReadableStream({
+        start(controller) {
+          controller.enqueue(new Uint8Array([0x50, 0x4b]));
+        }
+      }));
+    });
+
+    const response = await worker.fetch(
+      new Request(`https://worker.example/packages/MaxPane?url=${encodeURIComponent(remoteUrl)}`, {
+        headers: { Accept: "application/json" }
+      }),
+      { ALLOW_HOSTS: "codeload.github.com", UPSTREAM_TIMEOUT_MS: "30", UPSTREAM_RETRIES: "0" },
+      { waitUntil: vi.fn() }
+    );
+
+    expect(response.status).toBe(504);
+    expect((await response.json()).error).toMatchObject({ code: "upstream_timeout", url: remoteUrl });
+    expect(response.headers.get("Server-Timing")).toContain("attempt;desc=origin-get-timeout");
+  });
+
+  it("retries a download whose body fails partway, then reports the source unreachable", async () => {
+    const remoteUrl = "https://codeload.github.com/jisaacks/MaxPane/zip/master";
+    const file = readFixture("MaxPane-master.zip");
+    const dropping = () => {
+      let pulls = 0;
+      return new Response(new ReadableStream({
+        pull(controller) {
+          if (pulls++ === 0) controller.enqueue(file.slice(0, 100));
+          else controller.error(new Error("Network connection lost"));
+        }
+      }));
+    };
+    let gets = 0;
+    globalThis.fetch = vi.fn(async (input, init) => {
+      if (init?.method === "HEAD") return new Response(null, { status: 405 });
+      return ++gets === 1 ? dropping() : new Response(file);
+    });
+    const env = { ALLOW_HOSTS: "codeload.github.com", UPSTREAM_RETRIES: "1", UPSTREAM_BACKOFF_MS: "0" };
+    const url = `https://worker.example/packages/MaxPane?url=${encodeURIComponent(remoteUrl)}`;
+
+    const recovered = await worker.fetch(new Request(url), env, { waitUntil: vi.fn() });
+    expect(recovered.status).toBe(200);
+    expect(unzipSync(new Uint8Array(await recovered.arrayBuffer()))).toHaveProperty("max_pane.py");
+    const outcomes = [...recovered.headers.get("Server-Timing").matchAll(/attempt;desc=([^;]+)/g)].map((m) => m[1]);
+    expect(outcomes).toEqual(["origin-head-405", "origin-get-error", "origin-get-200"]);
+
+    globalThis.fetch = vi.fn(async (input, init) =>
+      init?.method === "HEAD" ? new Response(null, { status: 405 }) : dropping()
+    );
+    const failed = await worker.fetch(
+      new Request(url, { headers: { Accept: "application/json" } }),
+      env,
+      { waitUntil: vi.fn() }
+    );
+    expect(failed.status).toBe(502);
+    expect((await failed.json()).error).toMatchObject({
+      code: "upstream_unreachable",
+      message: "Upstream unreachable: Network connection lost"
+    });
+  });
+
+  it("times out and records Range requests, then falls back to the full download", async () => {
+    const remoteUrl = "https://codeload.github.com/sublime-treesitter/TreeSitter/zip/1.8.1";
+    const file = readFixture("TreeSitter-1.8.1.zip");
+    globalThis.fetch = vi.fn((input, init) => {
+      if (init?.method === "HEAD") {
+        return Promise.resolve(new Response(null, {
+          headers: { "Content-Length": String(file.byteLength), "Accept-Ranges": "bytes" }
+        }));
+      }
+      if (init?.headers?.Range) {
+        return new Promise((resolve, reject) => {
+          init.signal.addEventListener("abort", () => reject(new Error("aborted")));
+        });
+      }
+      return Promise.resolve(new Response(file));
+    });
+
+    const response = await worker.fetch(
+      new Request(`https://worker.example/packages/TreeSitter?url=${encodeURIComponent(remoteUrl)}`),
+      { ALLOW_HOSTS: "codeload.github.com", UPSTREAM_TIMEOUT_MS: "20", UPSTREAM_RETRIES: "0" },
+      { waitUntil: vi.fn() }
+    );
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get("Server-Timing")).not.toContain("toc;desc=range");
+    const outcomes = [...response.headers.get("Server-Timing").matchAll(/attempt;desc=([^;]+)/g)].map((m) => m[1]);
+    expect(outcomes).toEqual(["origin-head-200", "origin-get-timeout", "origin-get-200"]);
+  });
+
+  it("validates mirrors like the source URL", async () => {
+    globalThis.fetch = vi.fn();
+    const remoteUrl = "https://codeload.github.com/jisaacks/MaxPane/zip/master";
+    const mirror = "https://example.com/MaxPane.zip";
+
+    const response = await worker.fetch(
+      new Request(
+        `https://worker.example/packages/MaxPane?url=${encodeURIComponent(remoteUrl)}&mirror=${encodeURIComponent(mirror)}`
+      ),
+      { ALLOW_HOSTS: "codeload.github.com" },
+      { waitUntil: vi.fn() }
+    );
+
+    expect(response.status).toBe(403);
+    expect(response.headers.get("X-Error-Code")).toBe("mirror_refused");
+    expect(await response.text()).toBe(`Mirror ${mirror} refused: Host not permitted: no rule allows example.com/MaxPane.zip`);
+    expect(globalThis.fetch).not.toHaveBeenCalled();
+  });
+
+  it("sets a strong ETag and SHA-256 digests of the served bytes", async () => {
+    const remoteUrl = "https://codeload.github.com/jisaacks/MaxPane/zip/master";
+    globalThis.fetch = createFetchMock(remoteUrl, readFixture("MaxPane-master.zip"));
+
+    const request = new Request(
+      `https://worker.example/packages/MaxPane?url=${encodeURIComponent(remoteUrl)}`
+    );
+    const response = await worker.fetch(
+      request,
+      { ALLOW_HOSTS: "codeload.github.com" },
+      { waitUntil: vi.fn() }
+    );
+
+    const body = Buffer.from(await response.arrayBuffer());
+    const hash = createHash("sha256").update(body);
+    const b64 = hash.copy().digest("base64");
+    expect(response.headers.get("ETag")).toBe(`"${hash.digest("hex")}"`);
+    expect(response.headers.get("Digest")).toBe(`sha-256=${b64}`);
+    expect(response.headers.get("Content-Digest")).toBe(`sha-256=:${b64}:`);
+
+    const [, stored] = cachePut.mock.calls[0];
+    expect(stored.headers.get("ETag")).toBe(response.headers.get("ETag"));
+  });
+
+  it("caches the bytes it streams from a Range-inspected archive under a TOC-derived ETag", async () => {
+    const remoteUrl = "https://codeload.github.com/sublime-treesitter/TreeSitter/zip/1.8.1";
+    const url = `https://worker.example/packages/TreeSitter?url=${encodeURIComponent(remoteUrl)}`;
+    const env = { ALLOW_HOSTS: "codeload.github.com" };
+    globalThis.fetch = createRangeFetchMock(remoteUrl, readFixture("TreeSitter-1.8.1.zip"));
+
+    const first = await worker.fetch(new Request(url), env, { waitUntil: vi.fn() });
+    const second = await worker.fetch(new Request(url), env, { waitUntil: vi.fn() });
+
+    expect(first.headers.get("Server-Timing")).toContain("toc;desc=range");
+    expect(first.headers.get("ETag")).toMatch(/^"toc-[0-9a-f]{64}"$/);
+    expect(second.headers.get("ETag")).toBe(first.headers.get("ETag"));
+    expect(first.headers.has("Content-Digest")).toBe(false);
+
+    const body = new Uint8Array(await first.arrayBuffer());
+    const [, stored] = cachePut.mock.calls[0];
+    expect(stored.headers.get("ETag")).toBe(first.headers.get("ETag"));
+    expect(new Uint8Array(await stored.arrayBuffer())).toEqual(body);
+  });
+
+  it("returns 304 when If-None-Match matches a freshly built package", async () => {
+    const remoteUrl = "https://codeload.github.com/jisaacks/MaxPane/zip/master";
+    globalThis.fetch = createFetchMock(remoteUrl, readFixture("MaxPane-master.zip"));
+    const url = `https://worker.example/packages/MaxPane?url=${encodeURIComponent(remoteUrl)}`;
+    const env = { ALLOW_HOSTS: "codeload.github.com" };
+
+    const first = await worker.fetch(new Request(url), env, { waitUntil: vi.fn() });
+    const etag = first.headers.get("ETag");
+
+    const response = await worker.fetch(
+      new Request(url, { headers: { "If-None-Match": `W/${etag}` } }),
+      env,
+      { waitUntil: vi.fn() }
+    );
+
+    expect(response.status).toBe(304);
+    expect(response.headers.get("ETag")).toBe(etag);
+    expect(response.headers.get("Cache-Control")).toContain("immutable");
+    expect(await response.text()).toBe("");
+    expect(cachePut).toHaveBeenCalledTimes(2);
+    expect(cachePut.mock.calls[1][1].status).toBe(200);
+  });
+
+  it("returns 304 on a cache hit when If-None-Match matches", async () => {
+    const cached = new Response("cached", {
+      headers: { ETag: '"abc"', "Cache-Control": "public, max-age=31536000, immutable" }
+    });
+    cacheMatch.mockResolvedValue(cached);
+    globalThis.fetch = vi.fn();
+
+    const remoteUrl = "https://codeload.github.com/jisaacks/MaxPane/zip/master";
+    const response = await worker.fetch(
+      new Request(
+        `https://worker.example/packages/MaxPane?url=${encodeURIComponent(remoteUrl)}`,
+        { headers: { "If-None-Match": '"other", "abc"' } }
+      ),
+      { ALLOW_HOSTS: "codeload.github.com" },
+      { waitUntil: vi.fn() }
+    );
+
+    expect(response.status).toBe(304);
+    expect(response.headers.get("ETag")).toBe('"abc"');
+    expect(response.headers.get("Server-Timing")).toContain("cache;desc=hit");
+    expect(globalThis.fetch).not.toHaveBeenCalled();
+  });
+});
+
+async function readChunks(stream) {
+  const chunks = [];
+  const reader = stream.getReader();
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+  }
+  return chunks;
+}
+
+// Plain ustar archive of regular files (string contents).
+function buildTar(files) {
+  const blocks = [];
+  for (const [name, content] of Object.entries(files)) {
+    const data = new TextEncoder().encode(content);
+    const header = new Uint8Array(512);
+    const put = (offset, text) => header.set(new TextEncoder().encode(text), offset);
+    put(0, name);
+    put(100, "0000644\0");
+    put(108, "0000000\0");
+    put(116, "0000000\0");
+    put(124, data.byteLength.toString(8).padStart(11, "0") + "\0");
+    put(136, "14620000000\0");
+    put(148, "        ");
+    put(156, "0");
+    put(257, "ustar\0");
+    put(263, "00");
+    const sum = header.reduce((n, b) => n + b, 0);
+    put(148, sum.toString(8).padStart(6, "0") + "\0 ");
+    blocks.push(header, data, new Uint8Array((512 - (data.byteLength % 512)) % 512));
+  }
+  blocks.push(new Uint8Array(1024));
+  const out = new Uint8Array(blocks.reduce((n, b) => n + b.byteLength, 0));
+  let offset = 0;
+  for (const b of blocks) { out.set(b, offset); offset += b.byteLength; }
+  return out;
+}
+
+function chunkedStream(bytes, size) {
+  let offset = 0;
+  return new ReadableStream({
+    pull(controller) {
+      if (offset >= bytes.byteLength) return controller.close();
+      controller.enqueue(bytes.slice(offset, offset + size));
+      offset += size;
+    }
+  });
+}
+
+// Enough long-named entries under one root folder that the central directory
+// no longer fits in the tail window.
+function buildManyEntryZip(count) {
+  const files = {};
+  for (let i = 0; i < count; i++) {
+    files[`Big/${"d".repeat(60)}/file-${i}.txt`] = new TextEncoder().encode(String(i));
+  }
+  return zipSync(files, { level: 0 });
+}
+
+// Origin stub: answers HEAD with size/Accept-Ranges and honors `Range: bytes=a-b`.
+function createRangeFetchMock(url, file, { honorRanges = true } = {}) {
+  const bytes = new Uint8Array(file);
+  return vi.fn(async (input, init) => {
+    if (input !== url) return new Response(null, { status: 404 });
+    const headers = {
+      "Content-Length": String(bytes.byteLength),
+      "Accept-Ranges": honorRanges ? "bytes" : "none"
+    };
+    if (init?.method === "HEAD") return new Response(null, { status: 200, headers });
+
+    const range = init?.headers?.Range?.match(/^bytes=(\d+)-(\d+)$/);
+    if (range && honorRanges) {
+      const start = Number(range[1]);
+      const end = Number(range[2]) + 1;
+      return new Response(bytes.slice(start, end), {
+        status: 206,
+        headers: {
+          "Content-Length": String(end - start),
+          "Content-Range": `bytes ${start}-${end - 1}/${bytes.byteLength}`
+        }
+      });
+    }
+    return new Response(bytes, { status: 200, headers });
+  });
+}
+
+async function readRebuilt({ stream }) {
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function storedEntry(name, size) {
+  return {
+    name,
+    isDir: false,
+    flags: 0,
+    method: 0,
+    modTime: 0,
+    modDate: 0,
+    crc32: 0,
+    compSize: size,
+    uncompSize: size,
+    locRelOffset: 0,
+    dataStart: 0
+  };
+}
+
+// In-memory stand-in for an R2 bucket binding.
+function createMemoryBucket() {
+  const objects = new Map();
+  return {
+    objects,
+    async get(key) {
+      const object = objects.get(key);
+      if (!object) return null;
+      return { ...object, body: new Blob([object.bytes]).stream() };
+    },
+    async put(key, value, options = {}) {
+      const bytes = new Uint8Array(await new Response(value).arrayBuffer());
+      objects.set(key, { key, bytes, size: bytes.byteLength, uploaded: new Date(), ...options });
+      const { bytes: _, ...stored } = objects.get(key);
+      return stored;
+    },
+    async list({ prefix = "" } = {}) {
+      const matching = [...objects.values()].filter((o) => o.key.startsWith(prefix));
+      return { objects: matching.map(({ bytes, ...object }) => object), truncated: false };
+    },
+    async delete(keys) {
+      for (const key of [].concat(keys)) objects.delete(key);
+    }
+  };
+}
+
+// Stored artifacts, without the store's recent-keys index.
+function artifactKeys(bucket) {
+  return [...bucket.objects.keys()].filter((key) => key.startsWith("packages/"));
+}
 
 function createFetchMock(url, file) {
   return vi.fn(async (input) => {
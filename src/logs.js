@@ -0,0 +1,232 @@
+// /logs.json: the crawler's logs.json, proxied as-is or, when query parameters
+// are given, filtered and paginated here so the website does not have to
+// download the whole file.
+//
+//   name=<a,b>          package name(s), case-insensitive
+//   status=<a,b>        entry status / severity / level (alias: severity)
+//   since=, until=      time window: an ISO date or a relative "<n>m|h|d"
+//   offset=, limit=     pagination (limit default 100, at most 1000)
+//   fields=<a,b>        keep only these fields of each entry
+//
+// Entries are read from the top-level array, or from the first of `logs`,
+// `entries` or `items` that holds one. An entry's name, status and time come
+// from the first field present in each alias list below.
+
+import { clientCacheIsFresh, shortCacheHeaders } from "./http.js";
+import { errorResponse } from "./errors.js";
+
+const DEFAULT_ASSET_URL = "https://github.com/packagecontrol/thecrawl/releases/download/crawler-status/logs.json";
+const QUERY_PARAMS = ["name", "status", "severity", "since", "until", "offset", "limit", "fields"];
+const LIST_KEYS = ["logs", "entries", "items"];
+const NAME_FIELDS = ["name", "package"];
+const STATUS_FIELDS = ["status", "severity", "level"];
+const TIME_FIELDS = ["time", "timestamp", "date"];
+const MESSAGE_FIELDS = ["message", "msg", "error"];
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const UNIT_MS = { m: 60_000, h: 3_600_000, d: 86_400_000 };
+
+// Entries parsed from the last upstream body, keyed by asset URL and ETag, so
+// requests in the same isolate skip parsing an unchanged file.
+let parsed = null;
+
+/**
+ * Handle GET /logs.json. Without query parameters the upstream body is
+ * streamed through; with them the response is
+ * `{ total, offset, limit, entries }`. Both get the short cache and CORS
+ * headers and answer conditional requests with 304.
+ *
+ * @param {Request} request
+ * @param {Record<string, any> | undefined} env
+ */
+async function handleLogsRequest(request, env) {
+  const url = new URL(request.url);
+  const assetUrl = env?.ASSET_URL || DEFAULT_ASSET_URL;
+
+  let query = null;
+  if (QUERY_PARAMS.some((p) => url.searchParams.has(p))) {
+    query = parseQuery(url.searchParams);
+    if (!query.ok) return errorResponse(request, query);
+  }
+
+  const upstream = await fetchLogs(assetUrl);
+
+  const headers = shortCacheHeaders(upstream.headers, upstream.status);
+  if (query && upstream.status === 200) {
+    // The filtered body is a different representation of the same version.
+    const etag = upstream.headers.get("ETag");
+    if (etag) headers.set("ETag", `W/${etag.replace(/^W\//i, "")}`);
+  }
+  if (upstream.status === 200 && clientCacheIsFresh(request.headers, headers)) {
+    await upstream.body?.cancel();
+    return new Response(null, { status: 304, headers });
+  }
+
+  if (!query || upstream.status !== 200) {
+    return new Response(upstream.body, {
+      status: upstream.status,
+      statusText: upstream.statusText,
+      headers
+    });
+  }
+
+  const entries = await readEntries(assetUrl, upstream);
+  if (!entries) {
+    return errorResponse(request, {
+      status: 502,
+      code: "invalid_logs",
+      message: "Upstream logs.json is not a JSON list of entries"
+    });
+  }
+  return new Response(JSON.stringify(filterLogs(entries, query)), { headers });
+}
+
+/**
+ * Validate the query parameters into
+ * `{ ok: true, names, statuses, since, until, offset, limit, fields }`, or an
+ * `invalid_query` error result.
+ */
+function parseQuery(params, now = Date.now()) {
+  const invalid = (message) => ({ ok: false, status: 400, code: "invalid_query", message });
+  const list = (...keys) => {
+    const values = keys.flatMap((k) => params.getAll(k)).flatMap((v) => v.split(","));
+    const items = values.map((v) => v.trim().toLowerCase()).filter(Boolean);
+    return items.length ? new Set(items) : null;
+  };
+  const time = (key) => {
+    const value = params.get(key);
+    if (!value) return null;
+    const relative = value.trim().match(/^(\d+)\s*([mhd])$/i);
+    if (relative) return now - Number(relative[1]) * UNIT_MS[relative[2].toLowerCase()];
+    const parsedTime = Date.parse(value);
+    return Number.isFinite(parsedTime) ? parsedTime : undefined;
+  };
+  const count = (key, fallback) => {
+    const value = params.get(key);
+    if (value === null || value === "") return fallback;
+    return /^\d+$/.test(value) ? Number(value) : undefined;
+  };
+
+  const since = time("since");
+  const until = time("until");
+  if (since === undefined) return invalid("Invalid since: expected an ISO date or <n>m|h|d");
+  if (until === undefined) return invalid("Invalid until: expected an ISO date or <n>m|h|d");
+  const offset = count("offset", 0);
+  const limit = count("limit", DEFAULT_LIMIT);
+  if (offset === undefined) return invalid("Invalid offset: expected a non-negative integer");
+  if (limit === undefined || limit < 1 || limit > MAX_LIMIT) {
+    return invalid(`Invalid limit: expected 1 to ${MAX_LIMIT}`);
+  }
+
+  const fields = params.get("fields");
+  return {
+    ok: true,
+    names: list("name"),
+    statuses: list("status", "severity"),
+    since,
+    until,
+    offset,
+    limit,
+    fields: fields ? fields.split(",").map((f) => f.trim()).filter(Boolean) : null
+  };
+}
+
+/**
+ * Apply a parsed query to the log entries. Entries without a usable time are
+ * dropped by a time window but kept otherwise.
+ */
+function filterLogs(entries, { names, statuses, since, until, offset, limit, fields }) {
+  const matching = entries.filter((entry) => {
+    if (!entry || typeof entry !== "object") return false;
+    if (names && !names.has(String(pick(entry, NAME_FIELDS) ?? "").toLowerCase())) return false;
+    if (statuses && !statuses.has(String(pick(entry, STATUS_FIELDS) ?? "").toLowerCase())) return false;
+    if (since !== null || until !== null) {
+      const at = entryTime(entry);
+      if (at === null) return false;
+      if (since !== null && at < since) return false;
+      if (until !== null && at > until) return false;
+    }
+    return true;
+  });
+
+  const page = matching.slice(offset, offset + limit);
+  const select = (entry) => Object.fromEntries(fields.filter((f) => f in entry).map((f) => [f, entry[f]]));
+  return { total: matching.length, offset, limit, entries: fields ? page.map(select) : page };
+}
+
+/**
+ * The crawler's entries for one package (matched like `?name=`), in file
+ * order, as `{ status, at, message }` with `at` in epoch milliseconds. Null
+ * when logs.json is unavailable.
+ *
+ * @param {Record<string, any> | undefined} env
+ * @param {string} name
+ */
+async function packageLogEntries(env, name) {
+  const assetUrl = env?.ASSET_URL || DEFAULT_ASSET_URL;
+  let upstream;
+  try {
+    upstream = await fetchLogs(assetUrl);
+  } catch {
+    return null;
+  }
+  if (upstream.status !== 200) {
+    await upstream.body?.cancel();
+    return null;
+  }
+  const entries = await readEntries(assetUrl, upstream);
+  if (!entries) return null;
+
+  const wanted = name.toLowerCase();
+  return entries
+    .filter((entry) => entry && typeof entry === "object")
+    .filter((entry) => String(pick(entry, NAME_FIELDS) ?? "").toLowerCase() === wanted)
+    .map((entry) => ({
+      status: pick(entry, STATUS_FIELDS) ?? null,
+      at: entryTime(entry),
+      message: pick(entry, MESSAGE_FIELDS) ?? null
+    }));
+}
+
+function fetchLogs(assetUrl) {
+  return fetch(assetUrl, {
+    // Keep edge cache tiny; still allow edge to revalidate quickly.
+    cf: { cacheTtl: 10, cacheEverything: true }
+  });
+}
+
+async function readEntries(assetUrl, upstream) {
+  const etag = upstream.headers.get("ETag");
+  const key = etag && `${assetUrl} ${etag}`;
+  if (key && parsed?.key === key) {
+    await upstream.body?.cancel();
+    return parsed.entries;
+  }
+
+  let doc;
+  try {
+    doc = await upstream.json();
+  } catch {
+    return null;
+  }
+  const entries = Array.isArray(doc)
+    ? doc
+    : LIST_KEYS.map((k) => doc?.[k]).find(Array.isArray) ?? null;
+  if (key && entries) parsed = { key, entries };
+  return entries;
+}
+
+function pick(entry, fields) {
+  const field = fields.find((f) => entry[f] !== undefined && entry[f] !== null);
+  return field ? entry[field] : undefined;
+}
+
+// Times are ISO strings or epoch numbers, in seconds or milliseconds.
+function entryTime(entry) {
+  const value = pick(entry, TIME_FIELDS);
+  if (typeof value === "number") return value < 1e12 ? value * 1000 : value;
+  const time = typeof value === "string" ? Date.parse(value) : NaN;
+  return Number.isFinite(time) ? time : null;
+}
+
+export { handleLogsRequest, packageLogEntries, parseQuery, filterLogs };
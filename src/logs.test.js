@@ -0,0 +1,57 @@
+import { describe, expect, it } from "vitest";
+import { filterLogs, parseQuery } from "./logs.js";
+
+const now = Date.parse("2026-06-08T12:00:00Z");
+const query = (search) => parseQuery(new URLSearchParams(search), now);
+
+const entries = [
+  { name: "MaxPane", status: "ok", time: "2026-06-08T11:30:00Z", message: "built" },
+  { package: "TreeSitter", level: "ERROR", timestamp: Date.parse("2026-06-08T09:00:00Z") / 1000, message: "404" },
+  { name: "maxpane", severity: "warning", date: "2026-06-01T00:00:00Z", message: "slow" },
+  { name: "Undated", status: "ok" }
+];
+
+describe("parseQuery", () => {
+  it("reads lists, relative and absolute times and pagination", () => {
+    expect(query("name=MaxPane,TreeSitter&severity=Error&status=ok&since=3h&until=2026-06-08T11:00:00Z&offset=2&limit=5&fields=name,message"))
+      .toEqual({
+        ok: true,
+        names: new Set(["maxpane", "treesitter"]),
+        statuses: new Set(["ok", "error"]),
+        since: now - 3 * 3_600_000,
+        until: Date.parse("2026-06-08T11:00:00Z"),
+        offset: 2,
+        limit: 5,
+        fields: ["name", "message"]
+      });
+    expect(query("")).toMatchObject({ names: null, statuses: null, since: null, until: null, offset: 0, limit: 100 });
+  });
+
+  it.each(["since=yesterday", "until=5w", "offset=-1", "limit=0", "limit=1001", "limit=ten"])(
+    "rejects %s",
+    (search) => {
+      expect(query(search)).toMatchObject({ ok: false, status: 400, code: "invalid_query" });
+    }
+  );
+});
+
+describe("filterLogs", () => {
+  it("matches names and statuses case-insensitively across field aliases", () => {
+    expect(filterLogs(entries, query("name=MAXPANE")).entries.map((e) => e.message)).toEqual(["built", "slow"]);
+    expect(filterLogs(entries, query("status=error,warning")).entries.map((e) => e.message)).toEqual(["404", "slow"]);
+  });
+
+  it("drops undated entries from a time window and accepts epoch seconds", () => {
+    expect(filterLogs(entries, query("since=1d")).entries.map((e) => e.message)).toEqual(["built", "404"]);
+    expect(filterLogs(entries, query("until=2026-06-08T10:00:00Z")).entries.map((e) => e.message)).toEqual(["404", "slow"]);
+  });
+
+  it("paginates after filtering and selects fields", () => {
+    expect(filterLogs(entries, query("offset=1&limit=2&fields=name,message"))).toEqual({
+      total: 4,
+      offset: 1,
+      limit: 2,
+      entries: [{ message: "404" }, { name: "maxpane", message: "slow" }]
+    });
+  });
+});
@@ -1,213 +1,897 @@
 // Core package handling: fetch remote ZIP, optionally flatten, and stream back
 // without decompressing the archive.
 
-async function handlePackageRequest({ request, env, ctx, remoteUrl, name }) {
+import { createIgnoreMatcher, GITATTRIBUTES, PACKAGE_IGNORE } from "./ignore-rules.js";
+import { isGzip, readTar } from "./tar.js";
+import { addTiming, etagMatches } from "./http.js";
+import { readPackageMetadata, METADATA_FILE } from "./package-metadata.js";
+import { artifactKey, artifactVersion, createArtifactStore } from "./artifact-store.js";
+import { errorResponse, wantsJson } from "./errors.js";
+import { recordRequest } from "./analytics.js";
+import { checkRateLimits } from "./rate-limiter.js";
+import {
+  fetchArchive,
+  fetchRange,
+  fetchUpstream,
+  readLimited,
+  readMirrors,
+  reportAttempts,
+  reportRedirects,
+  validateUrl
+} from "./upstream.js";
+
+async function handlePackageRequest(args) {
+  const started = Date.now();
+  const sizes = { inputBytes: null, outputBytes: null };
+  const response = await repackage({ ...args, sizes });
+  recordRequest(args.env, {
+    name: args.name,
+    remoteUrl: args.remoteUrl,
+    response,
+    ...sizes,
+    duration: Date.now() - started
+  });
+  return response;
+}
+
+async function repackage({ request, env, ctx, remoteUrl, name, sizes }) {
   const pkgName = name || "Package";
 
   const validation = validateUrl(remoteUrl, env);
-  if (!validation.ok) return validation.response;
+  if (!validation.ok) return errorResponse(request, validation);
+  const mirrors = readMirrors(request, env);
+  if (!mirrors.ok) return errorResponse(request, mirrors);
 
-  const cacheKey = new Request(request.url, request);
+  const requested = await readPackageMetadata(request);
+  if (!requested.ok) return errorResponse(request, requested);
+  const { metadata } = requested;
+
+  const cacheKey = await packageCacheKey(request, metadata);
   const cache = caches.default;
   const cached = await cache.match(cacheKey);
-  if (cached) return addTiming(cached, "cache;desc=hit");
+  if (cached) return addTiming(notModifiedIfFresh(request, cached), "cache;desc=hit");
+
+  const finish = { request, ctx, cache, cacheKey, remoteUrl, pkgName, metadata, sizes, artifact: null };
+
+  // Second tier: a commit pinned in the URL addresses the artifact before any
+  // upstream request; otherwise the HEAD response's ETag does, below.
+  const store = createArtifactStore(env?.ARTIFACTS);
+  const variant = { name: pkgName, metadata };
+  const pinned = store && artifactVersion(remoteUrl);
+  if (pinned) {
+    finish.artifact = { store, key: await artifactKey(remoteUrl, pinned, variant), version: pinned };
+    const stored = await serveArtifact(finish);
+    if (stored) return stored;
+  }
+
+  // Past this point the request waits on the origin, so it takes a token from
+  // the client's bucket; the upstream's is taken once per build.
+  const throttled = await checkRateLimits(request, env, validation.parsedRemote, ["client"]);
+  if (throttled) return throttled;
+
+  // Concurrent misses share one build. It runs without the conditional
+  // headers, so each caller gets the full response to answer its own
+  // If-None-Match from.
+  const work = async () => {
+    const upstream = { env, redirects: [], attempts: [] };
+    const outcome = {};
+    const shared = { ...finish, request: unconditional(request), outcome };
+    const response = await build({
+      finish: shared, store, variant, parsedRemote: validation.parsedRemote, mirrors: mirrors.urls, upstream
+    });
+    return { response: reportAttempts(reportRedirects(response, remoteUrl, upstream.redirects), upstream.attempts), outcome };
+  };
+  const built = await coalesce(coalesceKey(request, cacheKey), work, () => cache.match(cacheKey));
+  return notModifiedIfFresh(request, built);
+}
+
+/**
+ * Fetch the archive and serve it repackaged (or redirect to it): the part of
+ * a cache miss that reaches the origin.
+ */
+async function build({ finish, store, variant, parsedRemote, mirrors, upstream }) {
+  const { request, remoteUrl, pkgName, sizes } = finish;
+  const { env } = upstream;
+  const throttled = await checkRateLimits(request, env, parsedRemote, ["upstream"]);
+  if (throttled) return throttled;
 
   // 1) HEAD pre-check for size → redirect if too large
-  const softLimit = Number(env?.MAX_ZIP_BYTES || 25_000_000);       // hard security cap
-  const cpuLimit = Number(env?.CPU_REPACKAGE_BYTES || 12_000_000);  // soft cap for CPU-budget
-  let head;
+  const limits = sizeLimits(env);
+  let probe;
   try {
-    head = await fetch(remoteUrl, { method: "HEAD" });
+    probe = await fetchUpstream(remoteUrl, { method: "HEAD" }, upstream);
   } catch {
     // Some origins don’t like HEAD — fall back to GET path below.
   }
+  if (probe && !probe.ok) return errorResponse(request, probe);
+  const head = probe?.res;
+  const sourceUrl = probe?.url || remoteUrl;   // after the HEAD's redirects
   const headLen = Number(head?.headers?.get("content-length") || 0);
   if (head && head.ok) {
-    const finalHost = safeHost(head.url || remoteUrl);
-    if (!validation.allowHosts.includes(finalHost)) {
-      return new Response("Redirected host not permitted", { status: 403 });
-    }
-    if (headLen && headLen > softLimit) {
-      return addTiming(Response.redirect(remoteUrl, 302), "reason;desc=size>hard");
-    }
-    if (headLen && headLen > cpuLimit) {
-      return addTiming(Response.redirect(remoteUrl, 302), "reason;desc=size>cpu");
+    if (headLen) sizes.inputBytes = headLen;
+    const version = store && !finish.artifact && artifactVersion(remoteUrl, head);
+    if (version) {
+      finish.artifact = { store, key: await artifactKey(remoteUrl, version, variant), version };
+      const stored = await serveArtifact(finish);
+      if (stored) return stored;
     }
+    const reason = sizeCapReason(headLen, limits);
+    if (reason) return fallbackRedirect(remoteUrl, reason);
   }
 
-  // 2) GET with streaming cap; if we exceed limit → redirect (graceful).
-  const res = await fetch(remoteUrl);
-  const finalHost = safeHost(res.url || remoteUrl);
-  if (!validation.allowHosts.includes(finalHost)) {
-    return new Response("Redirected host not permitted", { status: 403 });
+  // 2) If the origin serves byte ranges, read just the EOCD + central directory
+  //    from the tail so the body can be transformed in a single streaming pass.
+  let rangedToc = null;
+  if (head && head.ok && headLen && acceptsByteRanges(head)) {
+    try {
+      rangedToc = await readRemoteTOC(sourceUrl, headLen, upstream);
+    } catch {
+      // Ranges not honored or not a ZIP — the full download below decides.
+    }
   }
-  if (!res.ok) {
-    return new Response(`Upstream error: ${res.status}`, { status: 502 });
+
+  // 3) GET with streaming cap; if we exceed limit → redirect (graceful).
+  //    Mirrors are tried in order when the requested URL fails. The tail
+  //    only describes a body of the same length from the same URL, which is
+  //    then left unread for the single streaming pass.
+  const singlePass = (res, url) => rangedToc && url === remoteUrl && res.body
+    && Number(res.headers.get("content-length")) === headLen;
+  const got = await fetchArchive([remoteUrl, ...mirrors], upstream,
+    (res, url) => singlePass(res, url) ? null : readLimited(res, limits.hard));
+  if (!got.ok) return errorResponse(request, got);
+  const res = got.res;
+  // The artifact key names the origin's version; a mirror's bytes are only
+  // kept under the edge cache key, which includes the ?mirror= list.
+  if (got.source !== remoteUrl) finish.artifact = null;
+
+  if (!got.read) {
+    return finishPackage({
+      ...finish,
+      toc: rangedToc,
+      original: () => packageBody({ stream: res.body, size: headLen }),
+      readEntry: (e) => readRemoteEntry(sourceUrl, e, upstream),
+      rebuild: (kept, prefix) => packageBody(rebuildZipFlattenStream(res.body, kept, prefix)),
+      abandon: () => res.body.cancel(),
+      timing: "toc;desc=range"
+    });
   }
 
-  const limited = await readLimited(res, softLimit);
+  const limited = got.read;
   if (!limited.ok) {
     // hard limit → redirect rather than 413 (your requirement a)
-    return addTiming(Response.redirect(remoteUrl, 302), "reason;desc=readLimited");
+    return fallbackRedirect(remoteUrl, "readLimited");
   }
   const bytes = limited.body; // Uint8Array
+  sizes.inputBytes = bytes.byteLength;
+
+  // Tarballs are converted into a ZIP under the same flatten/marker rules.
+  if (isGzip(bytes)) return serveTarball({ ...finish, bytes, env });
 
-  // 3) Inspect ZIP central directory (no decompression) to decide flatten.
+  // 4) Inspect ZIP central directory (no decompression) to decide flatten.
   let toc;
   try {
     toc = parseZipTOC(bytes);
   } catch (e) {
     // If it isn’t a ZIP, just pass-through.
-    const passthru = buildDownloadResponse(bytes, pkgName, "zip");
-    ctx.waitUntil(cache.put(cacheKey, passthru.clone()));
+    const passthru = await storeAndRespond(finish, bytesBody(bytes), pkgName, "zip");
     return addTiming(passthru, "path;desc=passthru-notzip");
   }
 
-  const flatten = shouldFlattenFromTOC(toc);
-  const rootMarkerPresent =
-    hasRootMarkerInTOC(toc, flatten?.prefix ?? "");
+  return finishPackage({
+    ...finish,
+    toc,
+    original: () => bytesBody(bytes),
+    readEntry: async (e) => bytes.subarray(e.dataStart, e.dataStart + e.compSize),
+    rebuild: (kept, prefix) => replayableBody(() => rebuildZipFlatten(bytes, kept, prefix))
+  });
+}
+
+// Package builds in progress in this isolate, by coalescing key, as promises
+// of the request-independent snapshots made by shareBuild().
+const inflight = new Map();
+
+/**
+ * Run `work` unless a build for the same key is already in progress in this
+ * isolate, in which case wait for that one; waiters are marked
+ * `coalesce;desc=hit` in Server-Timing.
+ *
+ * A Response (and its stream) belongs to the request that created it, so
+ * waiters never get the leader's response or a clone of it: each builds its
+ * own from the shared snapshot. When the build's body cannot be opened again
+ * (a stored artifact, a single-pass rebuild), a waiter reads it back with
+ * `lookup()` once the leader has cached it, and builds for itself if that
+ * misses.
+ *
+ * @param {string} key
+ * @param {() => Promise<{ response: Response, outcome: object }>} work
+ * @param {() => Promise<Response | undefined>} lookup
+ */
+async function coalesce(key, work, lookup) {
+  const pending = inflight.get(key);
+  if (pending) {
+    const snapshot = await pending.catch(() => null);
+    const replayed = snapshot && await replayBuild(snapshot, lookup);
+    if (replayed) return addTiming(replayed, "coalesce;desc=hit");
+    return (await work()).response;
+  }
+
+  const result = work().then(shareBuild);
+  const snapshot = result.then(({ snapshot }) => snapshot);
+  inflight.set(key, snapshot);
+  snapshot.catch(() => {}).finally(() => inflight.delete(key));
+  return (await result).response;
+}
+
+/**
+ * Split a finished build into the leader's response and a snapshot waiters
+ * can rebuild a response from without touching the leader's I/O objects:
+ * status and header entries plus either the body bytes (small, non-package
+ * responses), the replayable package body, or the promise of the leader's
+ * edge cache write.
+ */
+async function shareBuild({ response, outcome }) {
+  const snapshot = { status: response.status, statusText: response.statusText, headers: [...response.headers] };
+  if (outcome.body) {
+    snapshot.body = outcome.body;
+  } else if (outcome.stored) {
+    snapshot.stored = outcome.stored.catch(() => {});
+  } else {
+    snapshot.bytes = new Uint8Array(await response.arrayBuffer());
+    response = new Response(snapshot.bytes, response);
+  }
+  return { response, snapshot };
+}
+
+async function replayBuild({ status, statusText, headers, body, bytes, stored }, lookup) {
+  if (body) return new Response(withFixedLength(body.open(), body.size), { status, statusText, headers });
+  if (bytes) return new Response(bytes, { status, statusText, headers });
+  await stored;
+  return (await lookup()) || null;
+}
+
+/**
+ * Builds are shared per cache key, separately for JSON and text clients so
+ * each gets errors in the form it asked for.
+ */
+function coalesceKey(request, cacheKey) {
+  return `${cacheKey.url} ${wantsJson(request) ? "json" : "text"}`;
+}
+
+function unconditional(request) {
+  const headers = new Headers(request.headers);
+  headers.delete("If-None-Match");
+  return new Request(request.url, { headers });
+}
+
+/**
+ * Convert a gzip-compressed tarball and serve it like a ZIP. Gzip input that
+ * cannot be converted (too large unpacked, or not a readable tar archive) is
+ * redirected to rather than served under a .zip name.
+ */
+async function serveTarball({ bytes, env, ...finish }) {
+  const tar = await readTarball(bytes, env);
+  if (!tar.ok) return fallbackRedirect(finish.remoteUrl, tar.reason);
+
+  const toc = await tocFromTar(tar);
+  return finishPackage({
+    ...finish,
+    toc,
+    readEntry: async (e) => e.data,
+    rebuild: (kept, prefix) => replayableBody(() => writeZip(kept, prefix)),
+    timing: "source;desc=tar-gz"
+  });
+}
 
-  if (!flatten) {
+/**
+ * Gunzip and read a tarball under MAX_UNPACKED_BYTES (default 24 MB: every
+ * file is held in memory, next to the download and a deflated copy). Returns
+ * the readTar() result, or { ok: false, reason } with the fallback reason
+ * `tar-too-large` or `tar-unreadable` (corrupt gzip, truncated stream, bad
+ * checksum, or not a tar archive at all).
+ */
+async function readTarball(bytes, env) {
+  const maxUnpacked = Number(env?.MAX_UNPACKED_BYTES || 24_000_000);
+  let tar;
+  try {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("gzip"));
+    tar = await readTar(stream, { maxBytes: maxUnpacked });
+  } catch {
+    return { ok: false, reason: "tar-unreadable" };
+  }
+  return tar.ok ? tar : { ok: false, reason: "tar-too-large" };
+}
+
+/**
+ * Serve an archive whose TOC is known: either the original body (when there is
+ * nothing to strip or exclude) or the lossless rebuild, then cache it.
+ *
+ * `original()` and `rebuild(kept, prefix)` return PackageBody values.
+ * `readEntry(e)` returns an entry's raw (still compressed) data; it is only
+ * used for the small rule files that decide which entries are left out.
+ * Without `original` (converted sources) the archive is always rebuilt.
+ */
+async function finishPackage({
+  toc, original, readEntry, rebuild, abandon, timing, metadata, ...finish
+}) {
+  const { request, remoteUrl, pkgName } = finish;
+  // Never serve something an installer would extract outside its folder.
+  const plan = await planPackage(toc, readEntry, metadata);
+  if (plan.problems.length) {
+    await abandon?.();
+    const lines = plan.problems.map((p) => `${JSON.stringify(p.name)}: ${p.reason}`);
+    return addTiming(
+      errorResponse(request, {
+        status: 422,
+        code: "unsafe_archive",
+        message: `Unsafe archive:\n${lines.join("\n")}\n`,
+        context: { entries: plan.problems }
+      }),
+      "reason;desc=unsafe-archive"
+    );
+  }
+
+  const { prefix, kept, excluded, ext } = plan;
+  const path = packagePath(plan, Boolean(original));
+  const withTiming = (resp, metric) => {
+    let r = timing ? addTiming(resp, timing) : resp;
+    if (excluded) r = addTiming(r, `exclude;desc=${excluded}`);
+    return addTiming(r, metric);
+  };
+
+  if (path === "original-structure") {
     // No need to rewrite file names; just serve original as .sublime-package or .zip
-    const ext = rootMarkerPresent ? "zip" : "sublime-package";
-    const resp = buildDownloadResponse(bytes, pkgName, ext);
-    ctx.waitUntil(cache.put(cacheKey, resp.clone()));
-    return addTiming(resp, "path;desc=original-structure");
+    let resp;
+    try {
+      resp = await storeAndRespond(finish, original(), pkgName, ext, { toc, prefix: "" });
+    } catch {
+      return fallbackRedirect(remoteUrl, "read-failed");
+    }
+    return withTiming(resp, `path;desc=${path}`);
   }
 
-  // 4) Lossless flatten (no inflate/deflate): rewrite headers + copy compressed data.
-  //    This keeps CPU tiny compared to unzip/rezip.
-  let flattenedBytes;
+  // Lossless flatten (no inflate/deflate): rewrite headers + copy compressed data.
+  // This keeps CPU tiny compared to unzip/rezip, and the output is streamed so
+  // at most the upstream bytes are ever held in memory.
+  let response;
   try {
-    flattenedBytes = rebuildZipFlatten(bytes, toc, flatten.prefix);
+    response = await storeAndRespond(finish, rebuild(kept, prefix), pkgName, ext, { toc: kept, prefix });
   } catch (e) {
     // If anything goes sideways, gracefully redirect upstream (a)
-    return addTiming(Response.redirect(remoteUrl, 302), "reason;desc=flatten-failed");
+    await abandon?.();
+    return fallbackRedirect(remoteUrl, "flatten-failed");
   }
 
-  const ext = rootMarkerPresent ? "zip" : "sublime-package";
-  const response = buildDownloadResponse(flattenedBytes, pkgName, ext);
-  ctx.waitUntil(cache.put(cacheKey, response.clone()));
-  return addTiming(response, "path;desc=flatten-lossless");
+  return withTiming(response, `path;desc=${path}`);
 }
 
-export { handlePackageRequest };
-export { parseZipTOC, shouldFlattenFromTOC, hasRootMarkerInTOC };
+/**
+ * Decide how a TOC would be served: unsafe entries, the flatten prefix, the
+ * entries left after ignore rules (plus injected metadata), and the
+ * marker-driven extension.
+ */
+async function planPackage(toc, readEntry, metadata = null) {
+  const problems = findUnsafeEntries(toc);
+  if (problems.length) return { problems };
 
+  const flatten = shouldFlattenFromTOC(toc);
+  const prefix = flatten?.prefix ?? "";
+  const filtered = await excludeIgnoredEntries(toc, prefix, readEntry);
+  const rootMarkerPresent = hasRootMarkerInTOC(filtered, prefix);
+  return {
+    problems,
+    flatten: Boolean(flatten),
+    prefix,
+    kept: withPackageMetadata(filtered, prefix, metadata),
+    excluded: toc.entries.length - filtered.entries.length,
+    injected: Boolean(metadata),
+    rootMarkerPresent,
+    ext: rootMarkerPresent ? "zip" : "sublime-package"
+  };
+}
 
 /**
- * Validate the provided remote URL against protocol and allowlist rules.
- * Returns { ok: true, parsedRemote, allowHosts } on success, otherwise
- * { ok: false, response } ready to return from the handler.
- *
- * @param {string} remoteUrl
- * @param {{ ALLOW_HOSTS?: string }} env
- */
-function validateUrl(remoteUrl, env) {
-  const allowHosts = String(
-    env?.ALLOW_HOSTS || "codeload.github.com,bitbucket.org,codelab.org,gitlab.com"
-  )
-    .split(",")
-    .map((h) => h.trim().toLowerCase())
-    .filter(Boolean);
-
-  let parsedRemote;
+ * The Server-Timing path for a plan; archives without an original body
+ * (converted sources) are always rebuilt.
+ */
+function packagePath(plan, hasOriginal) {
+  if (!hasOriginal) return "convert";
+  if (plan.flatten) return "flatten-lossless";
+  if (plan.excluded) return "filter-lossless";
+  return plan.injected ? "metadata-lossless" : "original-structure";
+}
+
+/**
+ * Add package-metadata.json at the package root as a stored entry, replacing
+ * any file of that name. It is dated like the newest entry so rebuilding the
+ * same archive gives the same bytes.
+ */
+function withPackageMetadata(toc, prefix, metadata) {
+  if (!metadata) return toc;
+
+  const name = prefix + METADATA_FILE;
+  const data = new TextEncoder().encode(`${JSON.stringify(metadata, null, 2)}\n`);
+  const stamp = (e) => e.modDate * 0x10000 + e.modTime;
+  const newest = toc.entries.reduce((best, e) => (stamp(e) > stamp(best) ? e : best), toDosDateTime(0));
+
+  const entry = {
+    name,
+    isDir: false,
+    flags: 0,
+    method: 0,
+    modTime: newest.modTime,
+    modDate: newest.modDate,
+    crc32: crc32(data),
+    compSize: data.byteLength,
+    uncompSize: data.byteLength,
+    locRelOffset: Infinity,     // laid out after every entry from the source
+    dataStart: null,
+    versionMadeBy: 0x0314,
+    versionNeeded: 10,
+    internalAttrs: 1,           // text
+    extAttrs: (0o100644 << 16) >>> 0,
+    extraFields: [],
+    comment: "",
+    data
+  };
+  return { ...toc, entries: [...toc.entries.filter((e) => e.name !== name), entry] };
+}
+
+/**
+ * The edge cache only stores GET requests, so a POSTed metadata body is folded
+ * into the key as a hash.
+ */
+async function packageCacheKey(request, metadata) {
+  if (request.method !== "POST") return new Request(request.url, request);
+  const url = new URL(request.url);
+  const json = new TextEncoder().encode(JSON.stringify(metadata));
+  url.searchParams.set("metadata-sha256", toHex(await sha256(json)));
+  return new Request(url.toString(), { method: "GET" });
+}
+
+const METHOD_NAMES = { 0: "stored", 8: "deflate", 9: "deflate64", 12: "bzip2", 14: "lzma", 93: "zstd" };
+
+/**
+ * Describe what /packages/<name> would do with an archive without serving it:
+ * entries after the strip, the flatten prefix, marker detection, the chosen
+ * extension and the size caps that would redirect instead. The central
+ * directory is read with Range requests when the origin allows it.
+ */
+async function handleManifestRequest({ request, env, remoteUrl, name }) {
+  const validation = validateUrl(remoteUrl, env);
+  if (!validation.ok) return errorResponse(request, validation);
+  const mirrors = readMirrors(request, env);
+  if (!mirrors.ok) return errorResponse(request, mirrors);
+  const throttled = await checkRateLimits(request, env, validation.parsedRemote);
+  if (throttled) return throttled;
+
+  const limits = sizeLimits(env);
+  const manifest = {
+    name: name || "Package",
+    url: remoteUrl,
+    size: { contentLength: null, maxZipBytes: limits.hard, cpuRepackageBytes: limits.cpu, redirect: null },
+    source: null,
+    toc: null,
+    redirects: [],
+    attempts: []
+  };
+  const upstream = { env, redirects: manifest.redirects, attempts: manifest.attempts };
+
+  let probe;
   try {
-    parsedRemote = new URL(remoteUrl);
-  } catch {
-    return { ok: false, response: new Response("Invalid url parameter", { status: 400 }) };
+    probe = await fetchUpstream(remoteUrl, { method: "HEAD" }, upstream);
+  } catch {}
+  if (probe && !probe.ok) return errorResponse(request, probe);
+  const head = probe?.res;
+  const sourceUrl = probe?.url || remoteUrl;
+  const headLen = Number(head?.headers?.get("content-length") || 0);
+  if (head && head.ok) {
+    manifest.size.contentLength = headLen || null;
+    manifest.size.redirect = sizeCapReason(headLen, limits);
   }
 
-  if (parsedRemote.protocol !== "https:") {
-    return { ok: false, response: new Response("Only https URLs are allowed", { status: 400 }) };
+  let toc = null;
+  let readEntry;
+  if (head && head.ok && headLen && acceptsByteRanges(head)) {
+    try {
+      toc = await readRemoteTOC(sourceUrl, headLen, upstream);
+      readEntry = (e) => readRemoteEntry(sourceUrl, e, upstream);
+      Object.assign(manifest, { source: "zip", toc: "range" });
+    } catch {}
   }
-  if (parsedRemote.username || parsedRemote.password) {
-    return { ok: false, response: new Response("Credentials in URLs are not allowed", { status: 400 }) };
+
+  if (!toc) {
+    // Without ranges the archive must be downloaded, which a redirect avoids.
+    if (manifest.size.redirect) return manifestResponse(manifest);
+
+    const got = await fetchArchive([remoteUrl, ...mirrors.urls], upstream, (res) => readLimited(res, limits.hard));
+    if (!got.ok) return errorResponse(request, got);
+    const limited = got.read;
+    if (!limited.ok) {
+      manifest.size.redirect = "readLimited";
+      return manifestResponse(manifest);
+    }
+    const bytes = limited.body;
+    manifest.size.contentLength ??= bytes.byteLength;
+    manifest.toc = "download";
+
+    const tar = isGzip(bytes) ? await readTarball(bytes, env) : null;
+    if (tar && !tar.ok) {
+      if (tar.reason === "tar-too-large") manifest.size.redirect = tar.reason;
+      else Object.assign(manifest, { source: "tar.gz", path: tar.reason });
+      return manifestResponse(manifest);
+    }
+    if (tar) {
+      toc = await tocFromTar(tar);
+      readEntry = async (e) => e.data;
+      manifest.source = "tar.gz";
+    } else {
+      try {
+        toc = parseZipTOC(bytes);
+      } catch {
+        Object.assign(manifest, { source: "not-zip", extension: "zip", path: "passthru-notzip" });
+        return manifestResponse(manifest);
+      }
+      readEntry = async (e) => bytes.subarray(e.dataStart, e.dataStart + e.compSize);
+      manifest.source = "zip";
+    }
   }
-  const host = parsedRemote.hostname.toLowerCase();
-  if (isIpLiteral(host) || host === "localhost") {
-    return { ok: false, response: new Response("IP/localhost targets are not allowed", { status: 400 }) };
+
+  const plan = await planPackage(toc, readEntry);
+  if (plan.problems.length) {
+    manifest.unsafe = plan.problems;
+    manifest.path = "unsafe-archive";
+    return manifestResponse(manifest);
   }
-  if (!allowHosts.includes(host)) {
-    return { ok: false, response: new Response("Host not permitted", { status: 403 }) };
+
+  const kept = new Set(plan.kept.entries);
+  Object.assign(manifest, {
+    flatten: plan.flatten,
+    prefix: plan.prefix,
+    rootMarker: plan.rootMarkerPresent,
+    extension: plan.ext,
+    path: packagePath(plan, manifest.source === "zip"),
+    excluded: plan.excluded,
+    comment: toc.comment || null,
+    // As in the rebuild, the stripped top-level directory itself is dropped.
+    entries: toc.entries
+      .map((e) => ({
+        name: e.name.slice(plan.prefix.length),
+        isDir: e.isDir,
+        size: e.uncompSize,
+        compressedSize: e.compSize,
+        method: METHOD_NAMES[e.method] ?? `method-${e.method}`,
+        excluded: !kept.has(e)
+      }))
+      .filter((entry) => entry.name)
+  });
+  return manifestResponse(manifest);
+}
+
+function manifestResponse(manifest) {
+  return new Response(JSON.stringify(manifest, null, 2), {
+    headers: {
+      "Content-Type": "application/json; charset=utf-8",
+      "Cache-Control": "no-store"
+    }
+  });
+}
+
+// Rule files larger than this are not worth inflating; they are ignored.
+const MAX_RULE_FILE_BYTES = 64 * 1024;
+
+/**
+ * Drop entries matched by `export-ignore` in the package's .gitattributes or by
+ * its .sublime-package-ignore. Returns a TOC with the remaining entries (the
+ * original TOC when nothing is excluded).
+ */
+async function excludeIgnoredEntries(toc, prefix, readEntry) {
+  const sources = {};
+  for (const e of toc.entries) {
+    if (e.isDir || e.uncompSize > MAX_RULE_FILE_BYTES) continue;
+    const key = e.name === prefix + GITATTRIBUTES ? "gitattributes"
+      : e.name === prefix + PACKAGE_IGNORE ? "packageIgnore"
+      : null;
+    if (!key) continue;
+    try {
+      sources[key] = new TextDecoder("utf-8").decode(await inflateEntry(await readEntry(e), e.method));
+    } catch {
+      // Unreadable rule file → keep everything rather than guess.
+    }
   }
 
-  return { ok: true, parsedRemote, allowHosts };
+  const isIgnored = createIgnoreMatcher(sources);
+  if (!isIgnored) return toc;
+
+  const entries = toc.entries.filter((e) =>
+    !e.name.startsWith(prefix) || !isIgnored(e.name.slice(prefix.length))
+  );
+  return entries.length === toc.entries.length ? toc : { ...toc, entries };
 }
 
 /**
- * Basic check to prevent IP/localhost targets
+ * Decompress a single entry's data (stored or deflated).
  */
-function isIpLiteral(host) {
-  // IPv4
-  if (/^\d{1,3}(?:\.\d{1,3}){3}$/.test(host)) return true;
-  // IPv6 (very permissive)
-  if (/^\[?[0-9a-fA-F:]+\]?$/.test(host)) return true;
-  return false;
+async function inflateEntry(data, method) {
+  if (method === 0) return data;
+  if (method !== 8) throw new Error(`Unsupported compression method ${method}`);
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
 }
 
+export { handlePackageRequest, handleManifestRequest };
+export {
+  parseZipTOC,
+  parseZipTOCFromTail,
+  shouldFlattenFromTOC,
+  hasRootMarkerInTOC,
+  rebuildZipFlatten,
+  rebuildZipFlattenStream,
+  findUnsafeEntries,
+  tocFromTar,
+  crc32
+};
+
+
+// Why a request was handed back to the origin instead of repackaged, as the
+// Server-Timing reason and its stable X-Fallback-Reason code.
+const FALLBACK_CODES = {
+  "size>hard": "too_large",
+  "size>cpu": "too_large_to_repackage",
+  readLimited: "too_large",
+  "tar-too-large": "unpacked_too_large",
+  "tar-unreadable": "unreadable_archive",
+  "read-failed": "upstream_read_failed",
+  "flatten-failed": "rebuild_failed"
+};
+
 /**
- * Read response body enforcing a byte limit
- * Returns { ok: true, body: Uint8Array } or { ok: false, status, message }
+ * Redirect to the original archive, recording why.
  */
-async function readLimited(res, maxBytes) {
-  const len = res.headers.get("content-length");
-  if (len && Number(len) > maxBytes) {
-    return { ok: false, status: 413, message: "File too large" };
+function fallbackRedirect(remoteUrl, reason) {
+  const r = addTiming(Response.redirect(remoteUrl, 302), `reason;desc=${reason}`);
+  r.headers.set("X-Fallback-Reason", FALLBACK_CODES[reason]);
+  return r;
+}
+
+/**
+ * Input size caps: `hard` (MAX_ZIP_BYTES) is the security limit for anything
+ * downloaded, `cpu` (CPU_REPACKAGE_BYTES) the largest archive worth
+ * repackaging within the CPU budget.
+ */
+function sizeLimits(env) {
+  return {
+    hard: Number(env?.MAX_ZIP_BYTES || 50_000_000),
+    cpu: Number(env?.CPU_REPACKAGE_BYTES || 40_000_000)
+  };
+}
+
+/**
+ * The redirect reason for an advertised length, or null when it is in bounds.
+ */
+function sizeCapReason(length, limits) {
+  if (length && length > limits.hard) return "size>hard";
+  if (length && length > limits.cpu) return "size>cpu";
+  return null;
+}
+
+// Tail window: largest EOCD comment + EOCD + ZIP64 locator and record, with slack.
+const TAIL_BYTES = 0xFFFF + 22 + 20 + 56 + 1024;
+
+function acceptsByteRanges(res) {
+  return /\bbytes\b/i.test(res.headers.get("accept-ranges") || "");
+}
+
+/**
+ * Fetch only the end of a remote archive (plus the central directory, if it
+ * starts before the tail window) and parse its TOC.
+ */
+async function readRemoteTOC(url, size, upstream) {
+  let tailOffset = Math.max(0, size - TAIL_BYTES);
+  let tail = await fetchRange(url, tailOffset, size, upstream);
+
+  const eocd = findEndOfCentralDirectory(tail, tailOffset);
+  if (eocd.cdOffset < tailOffset) {
+    const directory = await fetchRange(url, eocd.cdOffset, tailOffset, upstream);
+    tail = concatBytes([directory, tail]);
+    tailOffset = eocd.cdOffset;
   }
+  return parseZipTOCFromTail(tail, tailOffset);
+}
+
+/**
+ * Fetch one entry's raw data from a remote archive via two Range requests:
+ * its local header (for the name/extra lengths), then the data itself.
+ */
+async function readRemoteEntry(url, e, upstream) {
+  const header = await fetchRange(url, e.locRelOffset, e.locRelOffset + 30, upstream);
+  const hv = new DataView(header.buffer, header.byteOffset, header.byteLength);
+  if (hv.getUint32(0, true) !== SIG_LOC) throw new Error("LOC missing");
+  const dataStart = e.locRelOffset + 30 + hv.getUint16(26, true) + hv.getUint16(28, true);
+  return e.compSize ? fetchRange(url, dataStart, dataStart + e.compSize, upstream) : new Uint8Array(0);
+}
+
+/**
+ * A package body served as a stream of known `size`. `open()` starts the
+ * stream; replayable bodies (built from data held in memory) can be opened
+ * again, one-shot ones (fed by the upstream stream) only once.
+ *
+ * @typedef {{ size: number, replayable: boolean, open: () => ReadableStream<Uint8Array> }} PackageBody
+ */
 
-  if (!res.body) {
-    const ab = await res.arrayBuffer();
-    if (ab.byteLength > maxBytes) {
-      return { ok: false, status: 413, message: "File too large" };
+/**
+ * @param {{ stream: ReadableStream<Uint8Array>, size: number }} first
+ * @param {() => ReadableStream<Uint8Array>} [again] - Opens the same bytes anew.
+ * @returns {PackageBody}
+ */
+function packageBody(first, again) {
+  let unopened = first.stream;
+  return {
+    size: first.size,
+    replayable: Boolean(again),
+    open() {
+      const stream = unopened ?? again?.();
+      if (!stream) throw new Error("Package body already consumed");
+      unopened = null;
+      return stream;
     }
-    return { ok: true, body: new Uint8Array(ab) };
+  };
+}
+
+function replayableBody(make) {
+  return packageBody(make(), () => make().stream);
+}
+
+const BYTES_CHUNK = 64 * 1024;
+
+function bytesBody(bytes) {
+  const open = () => streamFromIterator((function* () {
+    for (let i = 0; i < bytes.byteLength; i += BYTES_CHUNK) yield bytes.subarray(i, i + BYTES_CHUNK);
+  })());
+  return packageBody({ stream: open(), size: bytes.byteLength }, open);
+}
+
+/**
+ * Serve a package body with a strong ETag, and store it in the edge cache
+ * (and the artifact store, when its key is known). Answers 304 when the
+ * client already holds that ETag.
+ *
+ * The output is never collected. A replayable body is streamed once through
+ * SHA-256 first, so the ETag and the `Digest` / `Content-Digest` headers
+ * describe exactly the bytes served, then opened again for the client and
+ * each store. A one-shot body can only be hashed once it has been sent, so
+ * its ETag is derived from the TOC and strip prefix it is written from
+ * (`layout`), it carries no digests, and the stores get a tee of the client's
+ * stream.
+ *
+ * Only cache misses pay for this; hits are served from the stored copy,
+ * headers included.
+ *
+ * @param {object} finish
+ * @param {PackageBody} body
+ * @param {string} name
+ * @param {string} ext
+ * @param {{ toc: object, prefix: string }} [layout] - Required for one-shot bodies.
+ */
+async function storeAndRespond({ request, ctx, cache, cacheKey, remoteUrl, artifact, sizes, outcome }, body, name, ext, layout) {
+  if (sizes) sizes.outputBytes = body.size;
+  const headers = downloadHeaders(name, ext);
+
+  let streams;
+  if (body.replayable) {
+    const hash = await digestStream(body.open());
+    const b64 = btoa(String.fromCharCode(...hash));
+    headers.set("ETag", `"${toHex(hash)}"`);
+    headers.set("Digest", `sha-256=${b64}`);
+    headers.set("Content-Digest", `sha-256=:${b64}:`);
+    streams = () => body.open();
+  } else {
+    headers.set("ETag", `"${await layoutEtag(layout, body.size)}"`);
+    let rest = body.open();
+    streams = () => {
+      const [one, other] = rest.tee();
+      rest = other;
+      return one;
+    };
   }
 
-  const reader = res.body.getReader();
-  const chunks = [];
-  let received = 0;
-  while (true) {
-    const { value, done } = await reader.read();
-    if (done) break;
-    if (value) {
-      received += value.byteLength;
-      if (received > maxBytes) {
-        try {
-          reader.cancel();
-        } catch {}
-        return { ok: false, status: 413, message: "File too large" };
-      }
-      chunks.push(value);
-    }
+  const respond = (stream) => new Response(withFixedLength(stream, body.size), { headers });
+  const stored = cache.put(cacheKey, respond(streams()));
+  ctx.waitUntil(stored);
+  if (outcome) Object.assign(outcome, body.replayable ? { body } : { stored });
+  if (artifact) {
+    const source = { cacheKey: cacheKey.url, remoteUrl, version: artifact.version };
+    ctx.waitUntil(artifact.store.put(artifact.key, withFixedLength(streams(), body.size), headers, source));
   }
-  const out = new Uint8Array(received);
-  let offset = 0;
-  for (const c of chunks) {
-    out.set(c, offset);
-    offset += c.byteLength;
+  return notModifiedIfFresh(request, respond(streams()));
+}
+
+/**
+ * A strong validator for a body that is streamed before it can be hashed:
+ * SHA-256 over everything that determines the bytes written from `toc` with
+ * `prefix` stripped (entry names, methods, CRCs, sizes, dates, attributes,
+ * extras, comments). Entry data is covered by its CRC-32 and sizes.
+ */
+async function layoutEtag({ toc, prefix }, size) {
+  const entries = toc.entries.map((e) => [
+    e.name, e.isDir, e.flags, e.method, e.modTime, e.modDate, e.crc32, e.compSize, e.uncompSize,
+    e.locRelOffset, e.versionMadeBy, e.versionNeeded, e.internalAttrs, e.extAttrs, e.comment,
+    (e.extraFields || []).map((x) => [x.id, toHex(x.data)])
+  ]);
+  const description = JSON.stringify({ size, prefix, comment: toc.comment || "", entries });
+  return `toc-${toHex(await sha256(new TextEncoder().encode(description)))}`;
+}
+
+/**
+ * SHA-256 of a stream without holding it (Workers' crypto.DigestStream);
+ * elsewhere the stream is collected first.
+ */
+async function digestStream(stream) {
+  if (typeof crypto.DigestStream === "function") {
+    const digest = new crypto.DigestStream("SHA-256");
+    await stream.pipeTo(digest);
+    return new Uint8Array(await digest.digest);
   }
-  return { ok: true, body: out };
+  return sha256(new Uint8Array(await new Response(stream).arrayBuffer()));
 }
 
-function safeHost(u) {
-  try { return new URL(u).hostname.toLowerCase(); } catch { return ""; }
+/**
+ * Let the runtime advertise Content-Length for a stream of known size
+ * (Workers' FixedLengthStream); elsewhere the stream is returned as-is.
+ */
+function withFixedLength(stream, size) {
+  if (typeof FixedLengthStream !== "function") return stream;
+  const { readable, writable } = new FixedLengthStream(size);
+  stream.pipeTo(writable).catch(() => {});
+  return readable;
 }
 
-function addTiming(resp, metric) {
-  const r = new Response(resp.body, resp);
-  const prev = resp.headers.get("Server-Timing");
-  r.headers.set("Server-Timing", prev ? `${prev}, ${metric}` : metric);
-  return r;
+/**
+ * Serve a rebuilt package from the artifact store, refilling the edge cache.
+ * Returns null on a miss.
+ */
+async function serveArtifact({ request, ctx, cache, cacheKey, artifact, outcome }) {
+  const found = await artifact.store.get(artifact.key);
+  if (!found) return null;
+  const stored = cache.put(cacheKey, found.clone());
+  ctx.waitUntil(stored);
+  if (outcome) outcome.stored = stored;
+  return addTiming(notModifiedIfFresh(request, found), "store;desc=hit");
 }
 
-function buildDownloadResponse(bytes, name, ext) {
-  return new Response(bytes, {
-    headers: {
-      "Content-Type": "application/zip",
-      "Content-Disposition": `attachment; filename="${name}.${ext}"`,
-      "Cache-Control": "public, max-age=31536000, immutable"
-    }
+async function sha256(bytes) {
+  return new Uint8Array(await crypto.subtle.digest("SHA-256", bytes));
+}
+
+function toHex(bytes) {
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Turn a package response into a bodyless 304 when the request's
+ * If-None-Match matches its ETag.
+ */
+function notModifiedIfFresh(request, resp) {
+  const ifNoneMatch = request.headers.get("If-None-Match");
+  const etag = resp.headers.get("ETag");
+  if (resp.status !== 200 || !ifNoneMatch || !etag || !etagMatches(ifNoneMatch, etag)) {
+    return resp;
+  }
+
+  const headers = new Headers();
+  for (const name of ["ETag", "Cache-Control", "Digest", "Content-Digest", "Server-Timing"]) {
+    const value = resp.headers.get(name);
+    if (value) headers.set(name, value);
+  }
+  // Not awaited: the body may be one branch of a tee feeding the caches.
+  resp.body?.cancel().catch(() => {});
+  return new Response(null, { status: 304, headers });
+}
+
+function downloadHeaders(name, ext) {
+  return new Headers({
+    "Content-Type": "application/zip",
+    "Content-Disposition": `attachment; filename="${name}.${ext}"`,
+    "Cache-Control": "public, max-age=31536000, immutable"
   });
 }
 
@@ -216,6 +900,12 @@ function buildDownloadResponse(bytes, name, ext) {
 const SIG_EOCD = 0x06054b50;
 const SIG_CEN  = 0x02014b50;
 const SIG_LOC  = 0x04034b50;
+const SIG_ZIP64_EOCD     = 0x06064b50;
+const SIG_ZIP64_LOCATOR  = 0x07064b50;
+
+const ZIP64_EXTRA_ID = 0x0001;
+const MAX_UINT16 = 0xFFFF;
+const MAX_UINT32 = 0xFFFFFFFF;
 
 /**
  * Parse a ZIP's central directory into a compact, non-inflating Table Of Contents (TOC).
@@ -225,6 +915,11 @@ const SIG_LOC  = 0x04034b50;
  * to compute the exact start offset of the compressed data. No file contents are
  * decompressed.
  *
+ * ZIP64 archives are supported: when the EOCD is preceded by a ZIP64 locator the
+ * entry count, directory size and directory offset are read from the ZIP64 EOCD
+ * record, and saturated per-entry sizes/offsets are taken from the ZIP64
+ * extended information extra field (0x0001).
+ *
  * Returned data is intentionally minimal and tailored for downstream helpers:
  * - shouldFlattenFromTOC(): decides if a single top-level directory can be stripped
  * - hasRootMarkerInTOC(): detects a root-level ".no-sublime-package" marker
@@ -243,14 +938,62 @@ const SIG_LOC  = 0x04034b50;
  *     compSize: number,
  *     uncompSize: number,
  *     locRelOffset: number,
- *     dataStart: number
+ *     dataStart: number,
+ *     versionMadeBy: number,
+ *     versionNeeded: number,
+ *     internalAttrs: number,
+ *     extAttrs: number,          // e.g. Unix mode bits in the high 16 bits
+ *     extraFields: Array<{ id: number, data: Uint8Array }>,  // minus ZIP64 (0x0001)
+ *     comment: string
  *   }>,
  *   tops: Set<string>,           // unique first path segments at archive root
- *   hasRootFiles: boolean        // true if any non-directory exists at root
+ *   hasRootFiles: boolean,       // true if any non-directory exists at root
+ *   zip64: boolean,              // true if the archive carries a ZIP64 EOCD record
+ *   comment: string,             // archive comment
+ *   cdOffset: number             // where the central directory (and so all entry data) ends
  * }}
  * @throws {Error} If EOCD is not found or expected local headers are missing.
  */
 function parseZipTOC(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const eocd = findEndOfCentralDirectory(bytes, 0);
+  const entries = readCentralDirectory(bytes, 0, eocd);
+
+  for (const e of entries) {
+    // Read local header to find data start (for copying compressed bytes)
+    const lp = e.locRelOffset;
+    if (lp + 30 > bytes.byteLength || view.getUint32(lp, true) !== SIG_LOC) {
+      throw new Error("LOC missing");
+    }
+    const lfNameLen  = view.getUint16(lp + 26, true);
+    const lfExtraLen = view.getUint16(lp + 28, true);
+    e.dataStart = lp + 30 + lfNameLen + lfExtraLen;
+  }
+
+  return summarizeTOC(entries, eocd);
+}
+
+/**
+ * Build a TOC from the tail of an archive only (EOCD + central directory), as
+ * fetched with a Range request. Entries carry `dataStart: null`; the local
+ * headers are resolved later while streaming the body.
+ *
+ * @param {Uint8Array} tail - Bytes from `tailOffset` to the end of the archive.
+ * @param {number} tailOffset - Absolute offset of `tail[0]` in the archive.
+ * @throws {Error} If the central directory is not contained in `tail`.
+ */
+function parseZipTOCFromTail(tail, tailOffset) {
+  const eocd = findEndOfCentralDirectory(tail, tailOffset);
+  const entries = readCentralDirectory(tail, tailOffset, eocd);
+  for (const e of entries) e.dataStart = null;
+  return summarizeTOC(entries, eocd);
+}
+
+/**
+ * Locate the EOCD (and ZIP64 EOCD record, if any) in `bytes`, which starts at
+ * absolute archive offset `baseOffset`. Returned offsets are absolute.
+ */
+function findEndOfCentralDirectory(bytes, baseOffset) {
   const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
   // Find EOCD within last 66k + comment
   const maxScan = Math.min(bytes.byteLength, 0xFFFF + 22 + 1024);
@@ -261,39 +1004,86 @@ function parseZipTOC(bytes) {
   }
   if (eocdOff < 0) throw new Error("EOCD not found");
 
-  const totalEntries = view.getUint16(eocdOff + 10, true);
-  const cdSize       = view.getUint32(eocdOff + 12, true);
-  const cdOffset     = view.getUint32(eocdOff + 16, true);
+  let totalEntries = view.getUint16(eocdOff + 10, true);
+  let cdSize       = view.getUint32(eocdOff + 12, true);
+  let cdOffset     = view.getUint32(eocdOff + 16, true);
+  const commentLen = view.getUint16(eocdOff + 20, true);
+  const comment = new TextDecoder("utf-8").decode(
+    bytes.subarray(eocdOff + 22, Math.min(eocdOff + 22 + commentLen, bytes.byteLength))
+  );
+
+  // ZIP64: a locator sits immediately before the EOCD and points at the
+  // ZIP64 EOCD record holding the real 64-bit values.
+  const locatorOff = eocdOff - 20;
+  const zip64 = locatorOff >= 0 && view.getUint32(locatorOff, true) === SIG_ZIP64_LOCATOR;
+  if (zip64) {
+    const recordOff = readUint64(view, locatorOff + 8) - baseOffset;
+    if (recordOff < 0 || recordOff + 56 > bytes.byteLength
+      || view.getUint32(recordOff, true) !== SIG_ZIP64_EOCD) {
+      throw new Error("ZIP64 EOCD missing");
+    }
+    totalEntries = readUint64(view, recordOff + 32);
+    cdSize       = readUint64(view, recordOff + 40);
+    cdOffset     = readUint64(view, recordOff + 48);
+  }
+
+  return { totalEntries, cdSize, cdOffset, eocdOffset: baseOffset + eocdOff, zip64, comment };
+}
+
+function readCentralDirectory(bytes, baseOffset, eocd) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const { totalEntries, cdSize, cdOffset } = eocd;
+  if (cdOffset < baseOffset || cdOffset - baseOffset + cdSize > bytes.byteLength) {
+    throw new Error("central directory out of range");
+  }
   const entries = [];
 
-  let p = cdOffset;
+  let p = cdOffset - baseOffset;
   const decoder = new TextDecoder("utf-8");
   for (let i = 0; i < totalEntries; i++) {
-    if (view.getUint32(p, true) !== SIG_CEN) break;
+    if (p + 46 > bytes.byteLength || view.getUint32(p, true) !== SIG_CEN) break;
 
+    const versionMadeBy  = view.getUint16(p + 4, true);
     const versionNeeded  = view.getUint16(p + 6, true);
     const flags          = view.getUint16(p + 8, true);
     const method         = view.getUint16(p + 10, true);
     const modTime        = view.getUint16(p + 12, true);
     const modDate        = view.getUint16(p + 14, true);
     const crc32          = view.getUint32(p + 16, true);
-    const compSize       = view.getUint32(p + 20, true);
-    const uncompSize     = view.getUint32(p + 24, true);
+    let compSize         = view.getUint32(p + 20, true);
+    let uncompSize       = view.getUint32(p + 24, true);
     const fnameLen       = view.getUint16(p + 28, true);
     const extraLen       = view.getUint16(p + 30, true);
     const commentLen     = view.getUint16(p + 32, true);
-    const extAttrs       = view.getUint32(p + 36, true);
-    const locRelOffset   = view.getUint32(p + 42, true);
+    const internalAttrs  = view.getUint16(p + 36, true);
+    const extAttrs       = view.getUint32(p + 38, true);
+    let locRelOffset     = view.getUint32(p + 42, true);
 
     const nameBytes = bytes.subarray(p + 46, p + 46 + fnameLen);
     const name = decoder.decode(nameBytes);
 
-    // Read local header to find data start (for copying compressed bytes)
-    const lp = locRelOffset;
-    if (view.getUint32(lp, true) !== SIG_LOC) throw new Error("LOC missing");
-    const lfNameLen  = view.getUint16(lp + 26, true);
-    const lfExtraLen = view.getUint16(lp + 28, true);
-    const dataStart  = lp + 30 + lfNameLen + lfExtraLen;
+    // Saturated fields are stored, in this fixed order, in the ZIP64 extra field.
+    if (uncompSize === MAX_UINT32 || compSize === MAX_UINT32 || locRelOffset === MAX_UINT32) {
+      const extraStart = p + 46 + fnameLen;
+      const z64 = findExtraField(view, extraStart, extraStart + extraLen, ZIP64_EXTRA_ID);
+      if (!z64) throw new Error("ZIP64 extra field missing");
+      let q = z64.start;
+      const take = () => {
+        if (q + 8 > z64.end) throw new Error("ZIP64 extra field truncated");
+        const value = readUint64(view, q);
+        q += 8;
+        return value;
+      };
+      if (uncompSize === MAX_UINT32) uncompSize = take();
+      if (compSize === MAX_UINT32) compSize = take();
+      if (locRelOffset === MAX_UINT32) locRelOffset = take();
+    }
+
+    const extraStart = p + 46 + fnameLen;
+    const extraFields = readExtraFields(bytes, extraStart, extraStart + extraLen)
+      .filter((f) => f.id !== ZIP64_EXTRA_ID);
+    const commentStart = extraStart + extraLen;
+    const comment = decoder.decode(bytes.subarray(commentStart, commentStart + commentLen));
 
     entries.push({
       name,
@@ -303,12 +1093,19 @@ function parseZipTOC(bytes) {
       modTime, modDate,
       crc32, compSize, uncompSize,
       locRelOffset,
-      dataStart
+      dataStart: null,
+      versionMadeBy, versionNeeded,
+      internalAttrs, extAttrs,
+      extraFields,
+      comment
     });
 
     p += 46 + fnameLen + extraLen + commentLen;
   }
+  return entries;
+}
 
+function summarizeTOC(entries, eocd) {
   // also gather top-level segments
   const tops = new Set();
   let hasRootFiles = false;
@@ -319,7 +1116,93 @@ function parseZipTOC(bytes) {
     if (!e.isDir && parts.length === 1) hasRootFiles = true;
   }
 
-  return { entries, tops, hasRootFiles };
+  return {
+    entries, tops, hasRootFiles,
+    zip64: eocd.zip64,
+    comment: eocd.comment,
+    cdOffset: eocd.cdOffset
+  };
+}
+
+function readUint64(view, offset) {
+  const value = view.getBigUint64(offset, true);
+  if (value > BigInt(Number.MAX_SAFE_INTEGER)) throw new Error("ZIP64 value out of range");
+  return Number(value);
+}
+
+function readExtraFields(bytes, start, end) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const fields = [];
+  let q = start;
+  while (q + 4 <= end) {
+    const id = view.getUint16(q, true);
+    const size = view.getUint16(q + 2, true);
+    if (q + 4 + size > end) break;
+    fields.push({ id, data: bytes.slice(q + 4, q + 4 + size) });
+    q += 4 + size;
+  }
+  return fields;
+}
+
+function findExtraField(view, start, end, id) {
+  let q = start;
+  while (q + 4 <= end) {
+    const fieldId = view.getUint16(q, true);
+    const size = view.getUint16(q + 2, true);
+    if (fieldId === id) return { start: q + 4, end: Math.min(q + 4 + size, end) };
+    q += 4 + size;
+  }
+  return null;
+}
+
+/**
+ * Safety pass over a TOC before anything is served. Flags names that would
+ * escape or confuse the extraction directory (zip-slip), duplicate names, and
+ * entry data that overlaps another entry or runs into the central directory
+ * (overlapping-entry zip bombs, truncated archives).
+ *
+ * When the TOC came from the archive tail (`dataStart === null`) the local
+ * header is assumed to be minimal, i.e. 30 bytes plus the central name.
+ *
+ * @param {ReturnType<typeof parseZipTOC>} toc
+ * @returns {Array<{ name: string, reason: string }>} Empty when the archive is safe.
+ */
+function findUnsafeEntries(toc) {
+  const problems = [];
+  const seen = new Set();
+  const encoder = new TextEncoder();
+
+  for (const e of toc.entries) {
+    const name = e.name;
+    if (name.includes("\0")) problems.push({ name, reason: "NUL byte in name" });
+    if (name.includes("\\")) problems.push({ name, reason: "backslash path separator" });
+    if (name.startsWith("/") || /^[A-Za-z]:/.test(name)) {
+      problems.push({ name, reason: "absolute path" });
+    }
+    if (name.split(/[\\/]/).includes("..")) problems.push({ name, reason: "path traversal" });
+    if (seen.has(name)) problems.push({ name, reason: "duplicate name" });
+    seen.add(name);
+  }
+
+  const spans = toc.entries
+    .map((e) => {
+      const dataStart = e.dataStart ?? e.locRelOffset + 30 + encoder.encode(e.name).byteLength;
+      return { name: e.name, start: e.locRelOffset, end: dataStart + e.compSize };
+    })
+    .sort((a, b) => a.start - b.start);
+
+  let previous = null;
+  for (const span of spans) {
+    if (toc.cdOffset !== undefined && span.end > toc.cdOffset) {
+      problems.push({ name: span.name, reason: "data runs past the end of the archive" });
+    }
+    if (previous && span.start < previous.end) {
+      problems.push({ name: span.name, reason: `data overlaps ${JSON.stringify(previous.name)}` });
+    }
+    if (!previous || span.end > previous.end) previous = span;
+  }
+
+  return problems;
 }
 
 function shouldFlattenFromTOC(toc) {
@@ -339,12 +1222,215 @@ function hasRootMarkerInTOC(toc, stripPrefix = "") {
   return false;
 }
 
+/**
+ * Rebuild the archive with `stripPrefix` removed from every entry name.
+ *
+ * Compressed data is copied verbatim; only local headers, the central directory
+ * and the end records are rewritten. ZIP64 structures are emitted only where a
+ * value does not fit its classic field: per-entry extra fields for sizes and
+ * offsets at or beyond 4 GiB, and the ZIP64 EOCD record + locator when the
+ * entry count, directory size or directory offset overflow.
+ *
+ * The output is never materialized: the layout is planned up front (so naming
+ * problems throw before anything is served, and the final size is known), then
+ * headers and compressed data are emitted as a stream, with the central
+ * directory written last.
+ *
+ * @param {Uint8Array} bytes - Full ZIP file bytes.
+ * @param {ReturnType<typeof parseZipTOC>} toc
+ * @param {string} stripPrefix
+ * @returns {{ stream: ReadableStream<Uint8Array>, size: number }}
+ */
 function rebuildZipFlatten(bytes, toc, stripPrefix) {
+  return writeZip(toc, stripPrefix, async function* (e) {
+    yield bytes.subarray(e.dataStart, e.dataStart + e.compSize);
+  });
+}
+
+/**
+ * Plan and stream an archive for `toc` with `stripPrefix` removed, taking each
+ * entry's compressed data from the async generator `readData(e)` (not needed
+ * when every entry carries inline `data`).
+ */
+function writeZip(toc, stripPrefix, readData) {
+  const plan = planZipFlatten(toc, stripPrefix);
+  return { stream: streamFromIterator(emitZip(plan, readData)), size: plan.size };
+}
+
+/**
+ * Turn tar entries into a TOC the ZIP writer understands. Each file is
+ * deflated (or stored, when that is smaller) and carries its data in `data`;
+ * Unix mode and mtime become external attributes and an extended timestamp.
+ * The pax global comment (`git archive` puts the commit id there) becomes the
+ * archive comment, as in `git archive --format=zip`. Each file's unpacked
+ * `data` is released once it has been converted.
+ */
+async function tocFromTar(tar) {
+  const entries = [];
+  for (const f of tar.files) {
+    let method = 0;
+    let data = f.data;
+    if (data.byteLength) {
+      const deflated = await deflateRaw(data);
+      if (deflated.byteLength < data.byteLength) {
+        method = 8;
+        data = deflated;
+      }
+    }
+
+    const { modTime, modDate } = toDosDateTime(f.mtime);
+    const timestamp = new Uint8Array(5);
+    timestamp[0] = 1;                            // flags: mtime present
+    new DataView(timestamp.buffer).setUint32(1, f.mtime >>> 0, true);
+    const type = f.isDir ? 0o040000 : 0o100000;
+
+    const entry = {
+      name: f.name,
+      isDir: f.isDir,
+      flags: 0,
+      method,
+      modTime, modDate,
+      crc32: crc32(f.data),
+      compSize: data.byteLength,
+      uncompSize: f.data.byteLength,
+      locRelOffset: f.offset,
+      dataStart: f.dataOffset,
+      versionMadeBy: 0x0314,
+      versionNeeded: 20,
+      internalAttrs: 0,
+      extAttrs: (((type | f.mode) << 16) | (f.isDir ? 0x10 : 0)) >>> 0,
+      extraFields: [{ id: EXTRA_EXT_TIMESTAMP, data: timestamp }],
+      comment: "",
+      data
+    };
+    // Only the (usually deflated) copy is kept from here on, so the unpacked
+    // files can be collected as the conversion goes.
+    f.data = null;
+    entries.push(entry);
+  }
+
+  return summarizeTOC(entries, {
+    zip64: false,
+    comment: tar.globals.comment || "",
+    cdOffset: tar.size
+  });
+}
+
+async function deflateRaw(data) {
+  const stream = new Blob([data]).stream().pipeThrough(new CompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function toDosDateTime(seconds) {
+  const d = new Date(seconds * 1000);
+  const year = Math.max(1980, d.getUTCFullYear());
+  return {
+    modTime: (d.getUTCHours() << 11) | (d.getUTCMinutes() << 5) | (d.getUTCSeconds() >> 1),
+    modDate: ((year - 1980) << 9) | ((d.getUTCMonth() + 1) << 5) | d.getUTCDate()
+  };
+}
+
+/**
+ * Single-pass variant of rebuildZipFlatten() for a TOC obtained from the
+ * archive tail: the upstream body is consumed front to back, local headers are
+ * read on the fly to find each entry's data, and that data is forwarded as it
+ * arrives.
+ *
+ * @param {ReadableStream<Uint8Array>} body - Full archive body.
+ * @param {ReturnType<typeof parseZipTOCFromTail>} toc
+ * @param {string} stripPrefix
+ * @returns {{ stream: ReadableStream<Uint8Array>, size: number }}
+ */
+function rebuildZipFlattenStream(body, toc, stripPrefix) {
+  const plan = planZipFlatten(toc, stripPrefix);
+  const cursor = createByteCursor(body);
+  const chunks = emitZip(plan, async function* (e) {
+    await cursor.skipTo(e.locRelOffset);
+    const header = await cursor.read(30);
+    const hv = new DataView(header.buffer, header.byteOffset, header.byteLength);
+    if (hv.getUint32(0, true) !== SIG_LOC) throw new Error("LOC missing");
+    await cursor.skipTo(e.locRelOffset + 30 + hv.getUint16(26, true) + hv.getUint16(28, true));
+    yield* cursor.take(e.compSize);
+  });
+  return { stream: streamFromIterator(chunks, () => cursor.cancel()), size: plan.size };
+}
+
+/**
+ * Forward-only reader over a byte stream. Offsets are absolute positions in
+ * the stream; seeking backwards is an error.
+ */
+function createByteCursor(stream) {
+  const reader = stream.getReader();
+  let position = 0;       // absolute offset of pending[0]
+  let pending = new Uint8Array(0);
+
+  async function fill() {
+    const { value, done } = await reader.read();
+    if (done) throw new Error("unexpected end of archive");
+    pending = pending.byteLength ? concatBytes([pending, value]) : value;
+  }
+
+  async function skipTo(offset) {
+    if (offset < position) throw new Error("archive entries out of order");
+    while (position + pending.byteLength < offset) {
+      position += pending.byteLength;
+      pending = new Uint8Array(0);
+      await fill();
+    }
+    pending = pending.subarray(offset - position);
+    position = offset;
+  }
+
+  async function read(length) {
+    while (pending.byteLength < length) await fill();
+    const out = pending.subarray(0, length);
+    pending = pending.subarray(length);
+    position += length;
+    return out;
+  }
+
+  async function* take(length) {
+    let remaining = length;
+    while (remaining > 0) {
+      if (!pending.byteLength) await fill();
+      const piece = pending.subarray(0, Math.min(remaining, pending.byteLength));
+      pending = pending.subarray(piece.byteLength);
+      position += piece.byteLength;
+      remaining -= piece.byteLength;
+      yield piece;
+    }
+  }
+
+  async function cancel() {
+    try { await reader.cancel(); } catch {}
+  }
+
+  return { skipTo, read, take, cancel };
+}
+
+function concatBytes(parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.byteLength, 0));
+  let w = 0;
+  for (const p of parts) { out.set(p, w); w += p.byteLength; }
+  return out;
+}
+
+/**
+ * Compute names, flags and offsets of the rebuilt archive without touching
+ * any entry data.
+ */
+function planZipFlatten(toc, stripPrefix) {
   const encoder = new TextEncoder();
-  const decoder = new TextDecoder("utf-8");
+  const utf8Flag = 1 << 11;
+  const noDataDesc = ~(1 << 3);
 
-  const fileEntries = [];
-  for (const e of toc.entries) {
+  // Entries are laid out in local header order so a streamed source can be
+  // consumed front to back.
+  const ordered = [...toc.entries].sort((a, b) => a.locRelOffset - b.locRelOffset);
+
+  const locals = [];
+  let offset = 0;
+  for (const e of ordered) {
     if (e.isDir) continue;
     if (!e.name.startsWith(stripPrefix)) {
       // Shouldn't happen if shouldFlattenFromTOC() said OK
@@ -352,99 +1438,293 @@ function rebuildZipFlatten(bytes, toc, stripPrefix) {
     }
     const newName = e.name.slice(stripPrefix.length);
     if (!newName) continue; // was the directory marker itself
-    fileEntries.push({ ...e, newName });
+
+    const nameBytes = encoder.encode(newName);
+    const commentBytes = encoder.encode(e.comment || "");
+    const extra = buildPreservedExtra(e, nameBytes, commentBytes);
+    const flags = (e.flags | utf8Flag) & noDataDesc;
+    const x = { e, newName, nameBytes, commentBytes, extra, flags, localHeaderOffset: offset };
+    offset += localHeaderLength(x) + e.compSize;
+
+    locals.push(x);
   }
 
-  // Build locals + remember offsets
-  const parts = [];
-  let offset = 0;
-  const locals = [];
+  const cdStart = offset;
+  for (const x of locals) {
+    offset += centralHeaderLength(x);
+  }
+  const cdSize = offset - cdStart;
+  const commentBytes = encoder.encode(toc.comment || "").subarray(0, MAX_UINT16);
+  offset += endRecordsLength(locals.length, cdSize, cdStart, commentBytes);
 
-  for (const e of fileEntries) {
-    const nameBytes = encoder.encode(e.newName);
-    const utf8Flag = 1 << 11;
-    const noDataDesc = ~(1 << 3);
+  return { locals, cdStart, cdSize, commentBytes, size: offset };
+}
 
-    const flags = (e.flags | utf8Flag) & noDataDesc;
-    const locHeader = new Uint8Array(30 + nameBytes.length); // no extra
-    const v = new DataView(locHeader.buffer);
+/**
+ * Yield the rebuilt archive piece by piece: each local header followed by the
+ * entry's compressed data (as yielded by the async generator `readData`), then
+ * the central directory and end records. Entries carrying inline `data`
+ * (converted or injected files) are written from memory instead.
+ */
+async function* emitZip(plan, readData) {
+  for (const x of plan.locals) {
+    yield buildLocalHeader(x);
+    if (x.e.data) {
+      if (x.e.data.byteLength) yield x.e.data;
+      continue;
+    }
+    for await (const data of readData(x.e)) {
+      if (data.byteLength) yield data;
+    }
+  }
+  for (const x of plan.locals) {
+    yield buildCentralHeader(x);
+  }
+  yield buildEndRecords(plan.locals.length, plan.cdSize, plan.cdStart, plan.commentBytes);
+}
 
-    v.setUint32(0, SIG_LOC, true);
-    v.setUint16(4, 20, true);                // version needed
-    v.setUint16(6, flags, true);             // general purpose bit flag
-    v.setUint16(8, e.method, true);          // method (store/deflate)
-    v.setUint16(10, e.modTime, true);
-    v.setUint16(12, e.modDate, true);
-    v.setUint32(14, e.crc32, true);
-    v.setUint32(18, e.compSize, true);
-    v.setUint32(22, e.uncompSize, true);
-    v.setUint16(26, nameBytes.length, true);
-    v.setUint16(28, 0, true);                // extra length
+function streamFromIterator(iterator, onCancel) {
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        const { value, done } = await iterator.next();
+        if (done) controller.close();
+        else controller.enqueue(value);
+      } catch (e) {
+        controller.error(e);
+      }
+    },
+    async cancel() {
+      await iterator.return?.();
+      await onCancel?.();
+    }
+  });
+}
 
-    locHeader.set(nameBytes, 30);
+// Extra fields carried over into the rebuilt archive. Anything else (ZIP64,
+// alignment padding, vendor data tied to the old layout) is dropped.
+const EXTRA_NTFS_TIMES     = 0x000a;
+const EXTRA_EXT_TIMESTAMP  = 0x5455;
+const EXTRA_UNIX_IDS       = 0x7875;
+const EXTRA_UNICODE_PATH   = 0x7075;
+const EXTRA_UNICODE_COMMENT = 0x6375;
+const PRESERVED_EXTRAS = new Set([EXTRA_NTFS_TIMES, EXTRA_EXT_TIMESTAMP, EXTRA_UNIX_IDS]);
 
-    parts.push(locHeader);
-    offset += locHeader.length;
+/**
+ * Serialize the entry's preserved extra fields. Unicode path/comment fields
+ * embed a CRC of the header field they shadow, so they are regenerated for
+ * the rewritten name and comment.
+ */
+function buildPreservedExtra(e, nameBytes, commentBytes) {
+  const fields = [];
+  for (const f of e.extraFields || []) {
+    if (PRESERVED_EXTRAS.has(f.id)) fields.push(f);
+    else if (f.id === EXTRA_UNICODE_PATH) fields.push(unicodeExtra(f.id, nameBytes));
+    else if (f.id === EXTRA_UNICODE_COMMENT && commentBytes.byteLength) {
+      fields.push(unicodeExtra(f.id, commentBytes));
+    }
+  }
+
+  const out = new Uint8Array(fields.reduce((n, f) => n + 4 + f.data.byteLength, 0));
+  const v = new DataView(out.buffer);
+  let o = 0;
+  for (const f of fields) {
+    v.setUint16(o, f.id, true);
+    v.setUint16(o + 2, f.data.byteLength, true);
+    out.set(f.data, o + 4);
+    o += 4 + f.data.byteLength;
+  }
+  return out;
+}
 
-    const data = bytes.subarray(e.dataStart, e.dataStart + e.compSize);
-    parts.push(data);
-    const localHeaderOffset = offset - locHeader.length; // where we wrote it
-    offset += data.length;
+function unicodeExtra(id, value) {
+  const data = new Uint8Array(5 + value.byteLength);
+  const v = new DataView(data.buffer);
+  v.setUint8(0, 1);                        // version
+  v.setUint32(1, crc32(value), true);      // CRC of the header field
+  data.set(value, 5);
+  return { id, data };
+}
 
-    locals.push({ e, newName: e.newName, nameBytes, localHeaderOffset, flags });
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
   }
+  return table;
+})();
 
-  // Central Directory
-  const cdStart = offset;
-  for (const x of locals) {
-    const { e, nameBytes, localHeaderOffset, flags } = x;
-    const cen = new Uint8Array(46 + nameBytes.length); // no extra, no comment
-    const v = new DataView(cen.buffer);
-
-    v.setUint32(0, SIG_CEN, true);
-    v.setUint16(4, 0x0314, true);           // version made by (3=Unix, 20)
-    v.setUint16(6, 20, true);               // version needed
-    v.setUint16(8, flags, true);
-    v.setUint16(10, e.method, true);
-    v.setUint16(12, e.modTime, true);
-    v.setUint16(14, e.modDate, true);
-    v.setUint32(16, e.crc32, true);
-    v.setUint32(20, e.compSize, true);
-    v.setUint32(24, e.uncompSize, true);
-    v.setUint16(28, nameBytes.length, true);
-    v.setUint16(30, 0, true);               // extra length
-    v.setUint16(32, 0, true);               // file comment length
-    v.setUint16(34, 0, true);               // disk number start
-    v.setUint16(36, 0, true);               // internal attrs
-    v.setUint32(38, 0, true);               // external attrs
-    v.setUint32(42, localHeaderOffset, true);
-
-    cen.set(nameBytes, 46);
-
-    parts.push(cen);
-    offset += cen.length;
+/**
+ * Standard CRC-32 (as used by ZIP and gzip). Pass the previous result as
+ * `crc` to continue over further chunks.
+ */
+function crc32(bytes, crc = 0) {
+  let c = ~crc;
+  for (let i = 0; i < bytes.length; i++) {
+    c = CRC32_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
   }
+  return ~c >>> 0;
+}
 
-  const cdSize = offset - cdStart;
+function needsZip64Sizes(e) {
+  return e.compSize >= MAX_UINT32 || e.uncompSize >= MAX_UINT32;
+}
+
+function versionNeededFor(e, zip64) {
+  return Math.max(zip64 ? 45 : 20, e.versionNeeded || 0);
+}
+
+function versionMadeByFor(e, zip64) {
+  // Keep the original host system (high byte) so external attributes are
+  // interpreted the same way; bump the spec version if ZIP64 is now used.
+  const made = e.versionMadeBy ?? 0x0314;
+  return (made & 0xFF00) | Math.max(made & 0xFF, versionNeededFor(e, zip64));
+}
+
+function localHeaderLength(x) {
+  return 30 + x.nameBytes.length + x.extra.length + (needsZip64Sizes(x.e) ? 4 + 16 : 0);
+}
+
+function buildLocalHeader(x) {
+  const { e, nameBytes, extra, flags } = x;
+  // The local ZIP64 extra must carry both sizes whenever it is present.
+  const zip64 = needsZip64Sizes(e);
+  const extraLen = extra.length + (zip64 ? 4 + 16 : 0);
+  const locHeader = new Uint8Array(localHeaderLength(x));
+  const v = new DataView(locHeader.buffer);
+
+  v.setUint32(0, SIG_LOC, true);
+  v.setUint16(4, versionNeededFor(e, zip64), true);  // version needed
+  v.setUint16(6, flags, true);             // general purpose bit flag
+  v.setUint16(8, e.method, true);          // method (store/deflate)
+  v.setUint16(10, e.modTime, true);
+  v.setUint16(12, e.modDate, true);
+  v.setUint32(14, e.crc32, true);
+  v.setUint32(18, zip64 ? MAX_UINT32 : e.compSize, true);
+  v.setUint32(22, zip64 ? MAX_UINT32 : e.uncompSize, true);
+  v.setUint16(26, nameBytes.length, true);
+  v.setUint16(28, extraLen, true);         // extra length
+
+  locHeader.set(nameBytes, 30);
+
+  let o = 30 + nameBytes.length;
+  if (zip64) {
+    v.setUint16(o, ZIP64_EXTRA_ID, true);
+    v.setUint16(o + 2, 16, true);
+    v.setBigUint64(o + 4, BigInt(e.uncompSize), true);
+    v.setBigUint64(o + 12, BigInt(e.compSize), true);
+    o += 20;
+  }
+  locHeader.set(extra, o);
+  return locHeader;
+}
+
+function centralZip64Values(e, localHeaderOffset) {
+  // Only the saturated fields go into the ZIP64 extra, in spec order.
+  const values = [];
+  if (e.uncompSize >= MAX_UINT32) values.push(e.uncompSize);
+  if (e.compSize >= MAX_UINT32) values.push(e.compSize);
+  if (localHeaderOffset >= MAX_UINT32) values.push(localHeaderOffset);
+  return values;
+}
+
+function centralHeaderLength(x) {
+  const zip64Values = centralZip64Values(x.e, x.localHeaderOffset);
+  return 46 + x.nameBytes.length + x.extra.length + x.commentBytes.length
+    + (zip64Values.length ? 4 + 8 * zip64Values.length : 0);
+}
+
+function buildCentralHeader(x) {
+  const { e, nameBytes, commentBytes, extra, flags, localHeaderOffset } = x;
+  const zip64Values = centralZip64Values(e, localHeaderOffset);
+  const zip64 = zip64Values.length > 0;
+  const extraLen = extra.length + (zip64 ? 4 + 8 * zip64Values.length : 0);
+
+  const cen = new Uint8Array(centralHeaderLength(x));
+  const v = new DataView(cen.buffer);
+
+  v.setUint32(0, SIG_CEN, true);
+  v.setUint16(4, versionMadeByFor(e, zip64), true);  // version made by
+  v.setUint16(6, versionNeededFor(e, zip64), true);  // version needed
+  v.setUint16(8, flags, true);
+  v.setUint16(10, e.method, true);
+  v.setUint16(12, e.modTime, true);
+  v.setUint16(14, e.modDate, true);
+  v.setUint32(16, e.crc32, true);
+  v.setUint32(20, Math.min(e.compSize, MAX_UINT32), true);
+  v.setUint32(24, Math.min(e.uncompSize, MAX_UINT32), true);
+  v.setUint16(28, nameBytes.length, true);
+  v.setUint16(30, extraLen, true);                  // extra length
+  v.setUint16(32, commentBytes.length, true);       // file comment length
+  v.setUint16(34, 0, true);                         // disk number start
+  v.setUint16(36, e.internalAttrs || 0, true);      // internal attrs
+  v.setUint32(38, e.extAttrs || 0, true);           // external attrs
+  v.setUint32(42, Math.min(localHeaderOffset, MAX_UINT32), true);
+
+  cen.set(nameBytes, 46);
+
+  let o = 46 + nameBytes.length;
+  if (zip64) {
+    v.setUint16(o, ZIP64_EXTRA_ID, true);
+    v.setUint16(o + 2, 8 * zip64Values.length, true);
+    o += 4;
+    for (const value of zip64Values) {
+      v.setBigUint64(o, BigInt(value), true);
+      o += 8;
+    }
+  }
+  cen.set(extra, o);
+  cen.set(commentBytes, o + extra.length);
+  return cen;
+}
+
+function needsZip64End(count, cdSize, cdStart) {
+  return count >= MAX_UINT16 || cdSize >= MAX_UINT32 || cdStart >= MAX_UINT32;
+}
+
+function endRecordsLength(count, cdSize, cdStart, commentBytes) {
+  return (needsZip64End(count, cdSize, cdStart) ? 56 + 20 : 0) + 22 + commentBytes.length;
+}
+
+function buildEndRecords(count, cdSize, cdStart, commentBytes) {
+  const zip64 = needsZip64End(count, cdSize, cdStart);
+  const out = new Uint8Array(endRecordsLength(count, cdSize, cdStart, commentBytes));
+  const v = new DataView(out.buffer);
+  let o = 0;
+
+  if (zip64) {
+    // ZIP64 EOCD record
+    v.setUint32(0, SIG_ZIP64_EOCD, true);
+    v.setBigUint64(4, 44n, true);              // size of remaining record
+    v.setUint16(12, 0x032D, true);             // version made by
+    v.setUint16(14, 45, true);                 // version needed
+    v.setUint32(16, 0, true);                  // disk number
+    v.setUint32(20, 0, true);                  // disk where CD starts
+    v.setBigUint64(24, BigInt(count), true);   // records on this disk
+    v.setBigUint64(32, BigInt(count), true);   // total records
+    v.setBigUint64(40, BigInt(cdSize), true);
+    v.setBigUint64(48, BigInt(cdStart), true);
+
+    // ZIP64 EOCD locator
+    const recordOffset = cdStart + cdSize;
+    v.setUint32(56, SIG_ZIP64_LOCATOR, true);
+    v.setUint32(60, 0, true);                  // disk with ZIP64 EOCD
+    v.setBigUint64(64, BigInt(recordOffset), true);
+    v.setUint32(72, 1, true);                  // total disks
+    o = 76;
+  }
 
   // EOCD
-  const eocd = new Uint8Array(22);
-  const ev = new DataView(eocd.buffer);
-  ev.setUint32(0, SIG_EOCD, true);
-  ev.setUint16(4, 0, true);                // disk number
-  ev.setUint16(6, 0, true);                // disk where CD starts
-  ev.setUint16(8, locals.length, true);    // records on this disk
-  ev.setUint16(10, locals.length, true);   // total records
-  ev.setUint32(12, cdSize, true);
-  ev.setUint32(16, cdStart, true);
-  ev.setUint16(20, 0, true);               // comment length
-
-  parts.push(eocd);
-  offset += eocd.length;
-
-  // concat
-  const out = new Uint8Array(offset);
-  let w = 0;
-  for (const p of parts) { out.set(p, w); w += p.length; }
+  v.setUint32(o, SIG_EOCD, true);
+  v.setUint16(o + 4, 0, true);                 // disk number
+  v.setUint16(o + 6, 0, true);                 // disk where CD starts
+  v.setUint16(o + 8, Math.min(count, MAX_UINT16), true);   // records on this disk
+  v.setUint16(o + 10, Math.min(count, MAX_UINT16), true);  // total records
+  v.setUint32(o + 12, Math.min(cdSize, MAX_UINT32), true);
+  v.setUint32(o + 16, Math.min(cdStart, MAX_UINT32), true);
+  v.setUint16(o + 20, commentBytes.length, true);  // comment length
+  out.set(commentBytes, o + 22);
   return out;
 }
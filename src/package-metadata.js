@@ -0,0 +1,61 @@
+// Package Control's package-metadata.json, supplied by the caller either as
+// `metadata.<key>` query parameters or as a POSTed JSON object, so installs
+// straight from a repackager URL keep upgrade tracking.
+
+import { readLimited } from "./upstream.js";
+
+const METADATA_FILE = "package-metadata.json";
+const METADATA_PARAM = "metadata.";
+const MAX_METADATA_BYTES = 16 * 1024;
+
+// Keys Package Control stores as lists; query values are comma-separated.
+const LIST_KEYS = new Set(["dependencies", "libraries"]);
+
+/**
+ * Collect the metadata requested for a package. Query parameters are read
+ * first; a POSTed JSON object is merged over them.
+ *
+ * Returns { ok: true, metadata } (null when none was given) or
+ * { ok: false, status, code, message }.
+ *
+ * @param {Request} request
+ * @returns {Promise<{ ok: true, metadata: Record<string, unknown> | null }
+ *   | { ok: false, status: number, code: string, message: string }>}
+ */
+async function readPackageMetadata(request) {
+  const metadata = {};
+  for (const [key, value] of new URL(request.url).searchParams) {
+    if (!key.startsWith(METADATA_PARAM) || key.length === METADATA_PARAM.length) continue;
+    const field = key.slice(METADATA_PARAM.length);
+    if (LIST_KEYS.has(field)) {
+      const items = value.split(",").map((v) => v.trim()).filter(Boolean);
+      metadata[field] = [...(metadata[field] || []), ...items];
+    } else {
+      metadata[field] = value;
+    }
+  }
+
+  if (request.method === "POST") {
+    // Read chunk by chunk so a body without Content-Length stops at the limit.
+    const limited = await readLimited(request, MAX_METADATA_BYTES);
+    if (!limited.ok) {
+      return { ok: false, status: 413, code: "metadata_too_large", message: "Metadata too large" };
+    }
+    const bytes = limited.body;
+
+    let body;
+    try {
+      body = JSON.parse(new TextDecoder("utf-8").decode(bytes));
+    } catch {
+      return { ok: false, status: 400, code: "invalid_metadata", message: "Invalid metadata JSON" };
+    }
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+      return { ok: false, status: 400, code: "invalid_metadata", message: "Metadata must be a JSON object" };
+    }
+    Object.assign(metadata, body);
+  }
+
+  return { ok: true, metadata: Object.keys(metadata).length ? metadata : null };
+}
+
+export { readPackageMetadata, METADATA_FILE };
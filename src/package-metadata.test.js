@@ -0,0 +1,56 @@
+import { describe, expect, it } from "vitest";
+import { readPackageMetadata } from "./package-metadata.js";
+
+const base = "https://worker.example/packages/Pkg?url=https%3A%2F%2Fcodeload.github.com%2Fa%2Fb%2Fzip%2Fmain";
+
+describe("readPackageMetadata", () => {
+  it("returns null when no metadata is given", async () => {
+    expect(await readPackageMetadata(new Request(base))).toEqual({ ok: true, metadata: null });
+  });
+
+  it("reads metadata.* query parameters, splitting list keys on commas", async () => {
+    const request = new Request(
+      `${base}&metadata.version=1.2.0&metadata.url=https://example.com&metadata.dependencies=a,%20b&metadata.dependencies=c&metadata.=x`
+    );
+    expect(await readPackageMetadata(request)).toEqual({
+      ok: true,
+      metadata: { version: "1.2.0", url: "https://example.com", dependencies: ["a", "b", "c"] }
+    });
+  });
+
+  it("merges a POSTed JSON object over the query parameters", async () => {
+    const request = new Request(`${base}&metadata.version=1.0.0&metadata.description=Query`, {
+      method: "POST",
+      body: JSON.stringify({ version: "2.0.0", dependencies: ["x"] })
+    });
+    expect((await readPackageMetadata(request)).metadata).toEqual({
+      version: "2.0.0",
+      description: "Query",
+      dependencies: ["x"]
+    });
+  });
+
+  it.each([
+    ["{", 400, "invalid_metadata", "Invalid metadata JSON"],
+    ["[1, 2]", 400, "invalid_metadata", "Metadata must be a JSON object"],
+    ["null", 400, "invalid_metadata", "Metadata must be a JSON object"],
+    [JSON.stringify({ description: "x".repeat(20_000) }), 413, "metadata_too_large", "Metadata too large"]
+  ])("rejects the POST body %#", async (body, status, code, message) => {
+    const request = new Request(base, { method: "POST", body });
+    expect(await readPackageMetadata(request)).toEqual({ ok: false, status, code, message });
+  });
+
+  it("stops reading a chunked POST body once it passes the limit", async () => {
+    let pulls = 0;
+    const body = new ReadableStream({
+      pull(controller) {
+        pulls++;
+        controller.enqueue(new Uint8Array(8 * 1024));   // endless, no Content-Length
+      }
+    });
+    const request = new Request(base, { method: "POST", body, duplex: "half" });
+
+    expect(await readPackageMetadata(request)).toMatchObject({ ok: false, status: 413, code: "metadata_too_large" });
+    expect(pulls).toBeLessThan(5);
+  });
+});
@@ -0,0 +1,146 @@
+// /packages/<name>/status.json and /packages/<name>/badge.svg: why a package
+// is or is not updating, from the crawler's logs.json entries for it and the
+// repackager's own most recent decision (read back from Analytics Engine).
+// The summary is kept in the edge cache for the short cache TTL, so the
+// public routes do not run an Analytics Engine query per request.
+
+import { lastDecision } from "./analytics.js";
+import { shortCacheHeaders } from "./http.js";
+import { packageLogEntries } from "./logs.js";
+
+const LEVELS = ["unknown", "ok", "warning", "error"];
+const COLORS = { unknown: "#9f9f9f", ok: "#4c1", warning: "#dfb317", error: "#e05d44" };
+const CRAWLER_LEVELS = {
+  ok: "ok", success: "ok", info: "ok", updated: "ok",
+  warn: "warning", warning: "warning", skipped: "warning",
+  error: "error", failed: "error", failure: "error", fatal: "error"
+};
+
+/**
+ * Handle GET /packages/<name>/status.json (`format` "json") or
+ * /packages/<name>/badge.svg (`format` "svg"). The summary is
+ *
+ *   { name, state, message, crawler, repackager }
+ *
+ * with `state` one of ok, warning, error or unknown; `crawler` the latest
+ * logs.json entry for the package plus the entry count, and `repackager` its
+ * latest decision ({ path, status, error, extension, at }; cache hits and
+ * other replays of an earlier build do not count). Either is null when there is
+ * nothing to report or its source is unavailable.
+ *
+ * @param {{
+ *   request: Request,
+ *   env: Record<string, any>,
+ *   ctx: ExecutionContext,
+ *   name: string,
+ *   format: "json" | "svg"
+ * }} args
+ */
+async function handlePackageStatusRequest({ request, env, ctx, name, format }) {
+  const summary = await cachedSummary(request, env, ctx, name);
+
+  const headers = shortCacheHeaders(new Headers(), 200);
+  if (format === "svg") {
+    headers.set("Content-Type", "image/svg+xml; charset=utf-8");
+    return new Response(renderBadge("repackager", summary.message, COLORS[summary.state]), { headers });
+  }
+  return new Response(JSON.stringify(summary), { headers });
+}
+
+/**
+ * The package's summary from the edge cache, or built and stored there under
+ * one key per package (shared by both formats, whatever the query string).
+ */
+async function cachedSummary(request, env, ctx, name) {
+  const cache = caches.default;
+  const key = new Request(new URL(`/packages/${encodeURIComponent(name)}/status.json`, request.url));
+  const cached = await cache.match(key);
+  if (cached) return cached.json();
+
+  const [entries, decision] = await Promise.all([packageLogEntries(env, name), lastDecision(env, name)]);
+  const summary = summarizeStatus(name, entries, decision);
+  const headers = shortCacheHeaders(new Headers(), 200);
+  ctx.waitUntil(cache.put(key, new Response(JSON.stringify(summary), { headers })));
+  return summary;
+}
+
+/**
+ * Combine the crawler entries and the latest decision; the worse of the two
+ * decides the state, and the message names what caused it.
+ */
+function summarizeStatus(name, entries, decision) {
+  const latest = latestEntry(entries || []);
+  const crawler = latest && {
+    ...latest,
+    at: latest.at === null ? null : new Date(latest.at).toISOString(),
+    entries: entries.length
+  };
+  const crawlerLevel = latest ? CRAWLER_LEVELS[String(latest.status).toLowerCase()] || "unknown" : "unknown";
+  const repackagerLevel = decision ? decisionLevel(decision.status) : "unknown";
+
+  const state = LEVELS[Math.max(LEVELS.indexOf(crawlerLevel), LEVELS.indexOf(repackagerLevel))];
+  let message = state;
+  if (state === "error" || state === "warning") {
+    message = crawlerLevel === state
+      ? `crawl ${state === "error" ? "failed" : "warning"}`
+      : decision.error || decision.path;
+  } else if (state === "ok" && decision) {
+    message = decision.path;
+  }
+  return { name, state, message, crawler: crawler || null, repackager: decision || null };
+}
+
+// Redirects to the original archive (fallbacks) are warnings; a 304 is a
+// client revalidation of a good build.
+function decisionLevel(status) {
+  if (status >= 400) return "error";
+  if (status >= 300 && status !== 304) return "warning";
+  return "ok";
+}
+
+// The entry with the latest time, or the last undated one when none has a time.
+function latestEntry(entries) {
+  const dated = entries.filter((entry) => entry.at !== null);
+  if (!dated.length) return entries.at(-1) ?? null;
+  return dated.reduce((latest, entry) => (entry.at >= latest.at ? entry : latest));
+}
+
+/**
+ * A flat two-part badge in the shields.io layout. Text widths are estimated
+ * (about 7px per character at 11px Verdana), which is close enough for the
+ * short labels used here.
+ */
+function renderBadge(label, message, color) {
+  const labelWidth = textWidth(label);
+  const messageWidth = textWidth(message);
+  const width = labelWidth + messageWidth;
+  const text = (value, x) =>
+    `<text x="${x}" y="15" fill="#010101" fill-opacity=".3">${escapeXml(value)}</text>` +
+    `<text x="${x}" y="14">${escapeXml(value)}</text>`;
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${escapeXml(`${label}: ${message}`)}">`,
+    `<title>${escapeXml(`${label}: ${message}`)}</title>`,
+    `<linearGradient id="s" x2="0" y2="100%"><stop offset="0" stop-color="#bbb" stop-opacity=".1"/><stop offset="1" stop-opacity=".1"/></linearGradient>`,
+    `<clipPath id="r"><rect width="${width}" height="20" rx="3" fill="#fff"/></clipPath>`,
+    `<g clip-path="url(#r)">`,
+    `<rect width="${labelWidth}" height="20" fill="#555"/>`,
+    `<rect x="${labelWidth}" width="${messageWidth}" height="20" fill="${color}"/>`,
+    `<rect width="${width}" height="20" fill="url(#s)"/>`,
+    `</g>`,
+    `<g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="11">`,
+    text(label, labelWidth / 2),
+    text(message, labelWidth + messageWidth / 2),
+    `</g>`,
+    `</svg>`
+  ].join("");
+}
+
+function textWidth(value) {
+  return Math.round(String(value).length * 7 + 10);
+}
+
+function escapeXml(value) {
+  return String(value).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+export { handlePackageStatusRequest, summarizeStatus, renderBadge };
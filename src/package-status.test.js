@@ -0,0 +1,53 @@
+import { describe, expect, it } from "vitest";
+import { renderBadge, summarizeStatus } from "./package-status.js";
+
+const at = (iso) => Date.parse(iso);
+const decision = (status, path, error = null) => ({ path, status, error, at: "2026-06-08T12:00:00.000Z" });
+
+describe("summarizeStatus", () => {
+  it("reports the latest crawler entry and the repackager path when both are fine", () => {
+    const entries = [
+      { status: "error", at: at("2026-06-01T00:00:00Z"), message: "404" },
+      { status: "ok", at: at("2026-06-08T00:00:00Z"), message: "updated to 1.2.0" }
+    ];
+
+    expect(summarizeStatus("MaxPane", entries, decision(200, "flatten-lossless"))).toEqual({
+      name: "MaxPane",
+      state: "ok",
+      message: "flatten-lossless",
+      crawler: { status: "ok", at: "2026-06-08T00:00:00.000Z", message: "updated to 1.2.0", entries: 2 },
+      repackager: decision(200, "flatten-lossless")
+    });
+  });
+
+  it("lets the worse source decide the state and message", () => {
+    const failed = [{ status: "FAILED", at: null, message: "no releases" }];
+
+    expect(summarizeStatus("A", failed, decision(302, "size>hard"))).toMatchObject({ state: "error", message: "crawl failed" });
+    expect(summarizeStatus("A", [], decision(302, "size>hard"))).toMatchObject({ state: "warning", message: "size>hard" });
+    expect(summarizeStatus("A", null, decision(422, "unsafe-archive", "unsafe_archive")))
+      .toMatchObject({ state: "error", message: "unsafe_archive", crawler: null });
+    expect(summarizeStatus("A", null, decision(304, "cache-hit"))).toMatchObject({ state: "ok", message: "cache-hit" });
+  });
+
+  it("is unknown without any information", () => {
+    expect(summarizeStatus("A", null, null)).toEqual({
+      name: "A",
+      state: "unknown",
+      message: "unknown",
+      crawler: null,
+      repackager: null
+    });
+  });
+});
+
+describe("renderBadge", () => {
+  it("escapes the text and sizes both halves", () => {
+    const svg = renderBadge("repackager", "size>hard", "#dfb317");
+
+    expect(svg).toMatch(/^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" width="153" height="20"/);
+    expect(svg).toContain("<title>repackager: size&#62;hard</title>");
+    expect(svg).toContain('<rect x="80" width="73" height="20" fill="#dfb317"/>');
+    expect(svg).not.toContain("size>hard");
+  });
+});
@@ -0,0 +1,136 @@
+// POST /prewarm: build a batch of packages ahead of demand, e.g. right after
+// the crawler publishes new releases. Each { name, url } pair goes through the
+// /packages/<name>?url= pipeline under its public cache key, so later client
+// requests are cache hits.
+
+import { authorizeAdmin, logAdmin } from "./admin.js";
+import { decisionPath, packageExtension } from "./analytics.js";
+import { errorResponse } from "./errors.js";
+import { handlePackageRequest } from "./package-handler.js";
+
+const MAX_PACKAGES = 100;
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Handle POST /prewarm with a JSON body `[{ "name": ..., "url": ... }, ...]`
+ * (at most 100 pairs), building PREWARM_CONCURRENCY (default 4) at a time.
+ * Requires the admin bearer token.
+ *
+ * Answers 200 with one report per pair, in request order:
+ * { name, url, status, path, size, extension, fallback, error }.
+ *
+ * @param {{ request: Request, env: Record<string, any>, ctx: ExecutionContext, url: URL }} args
+ */
+async function handlePrewarmRequest({ request, env, ctx, url }) {
+  const action = `${request.method} ${url.pathname}`;
+  const refused = await authorizeAdmin(request, env, action);
+  if (refused) return refused;
+
+  if (request.method !== "POST") {
+    logAdmin({ action, status: 405, error: "method_not_allowed" });
+    return errorResponse(
+      request,
+      { status: 405, code: "method_not_allowed", message: "Method not allowed" },
+      { Allow: "POST" }
+    );
+  }
+
+  const batch = await readBatch(request);
+  if (!batch.ok) {
+    logAdmin({ action, status: batch.status, error: batch.code });
+    return errorResponse(request, batch);
+  }
+
+  const concurrency = Math.max(1, Number(env.PREWARM_CONCURRENCY) || DEFAULT_CONCURRENCY);
+  const packages = await mapConcurrently(batch.packages, concurrency, (pkg) =>
+    prewarmPackage({ ...pkg, origin: url.origin, env, ctx })
+  );
+
+  const failed = packages.filter((p) => p.error).length;
+  logAdmin({ action, status: 200, count: packages.length, failed });
+  return new Response(JSON.stringify({ built: packages.length - failed, failed, packages }, null, 2), {
+    headers: {
+      "Content-Type": "application/json; charset=utf-8",
+      "Cache-Control": "no-store"
+    }
+  });
+}
+
+async function readBatch(request) {
+  const invalid = (message) => ({ ok: false, status: 400, code: "invalid_prewarm", message });
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return invalid("Invalid prewarm JSON");
+  }
+  if (!Array.isArray(body)) return invalid("Expected a JSON array of { name, url } objects");
+  if (body.length > MAX_PACKAGES) return invalid(`At most ${MAX_PACKAGES} packages per request`);
+  const valid = (p) => p && typeof p.name === "string" && p.name && typeof p.url === "string" && p.url;
+  const bad = body.findIndex((p) => !valid(p));
+  if (bad >= 0) return invalid(`Entry ${bad} needs a non-empty "name" and "url"`);
+  return { ok: true, packages: body.map(({ name, url }) => ({ name, url })) };
+}
+
+/**
+ * Run one pair through the package pipeline as if a client had requested
+ * /packages/<name>?url=<url>, and describe the outcome.
+ */
+async function prewarmPackage({ name, url, origin, env, ctx }) {
+  const packageUrl = `${origin}/packages/${encodeURIComponent(name)}?url=${encodeURIComponent(url)}`;
+  const report = { name, url, status: null, path: null, size: null, extension: null, fallback: null, error: null };
+
+  let response;
+  try {
+    response = await handlePackageRequest({ request: new Request(packageUrl), env, ctx, remoteUrl: url, name });
+  } catch (e) {
+    return { ...report, error: "prewarm_failed", message: String(e?.message || e) };
+  }
+
+  report.status = response.status;
+  report.path = decisionPath(response);
+  report.fallback = response.headers.get("X-Fallback-Reason");
+  report.error = response.headers.get("X-Error-Code");
+  const size = await drainBody(response);
+  if (response.status === 200) {
+    report.size = size;
+    report.extension = packageExtension(response);
+  }
+  return report;
+}
+
+/**
+ * Read a body to the end and return its length without keeping it. Read
+ * rather than cancel: the body may be one branch of a tee feeding the caches,
+ * and cancelling one branch of a tee waits for the others.
+ */
+async function drainBody(response) {
+  if (!response.body) return 0;
+  const reader = response.body.getReader();
+  let size = 0;
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) return size;
+    size += value.byteLength;
+  }
+}
+
+/**
+ * Map `items` through `fn` with at most `limit` calls in flight, keeping the
+ * input order in the results.
+ */
+async function mapConcurrently(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+export { handlePrewarmRequest };
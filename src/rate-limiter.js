@@ -0,0 +1,107 @@
+// Token-bucket rate limiting for requests that reach the origin. Each bucket
+// lives in its own RateLimiter Durable Object (RATE_LIMITER binding), named
+// after what it limits:
+//
+//   client:<ip>             CLIENT_RATE_LIMIT    (default 30/60)
+//   upstream:<host>/<owner> UPSTREAM_RATE_LIMIT  (default 120/60)
+//
+// A limit is "<requests>/<seconds>": the bucket holds that many tokens and
+// refills completely over that period. "0" or "off" disables it. Cache hits
+// never take a token; without the binding nothing is limited.
+
+import { errorResponse } from "./errors.js";
+
+const DEFAULT_LIMITS = { client: "30/60", upstream: "120/60" };
+
+/**
+ * Take one token from the caller's client bucket, then from the upstream's.
+ * Returns null when the request may proceed, otherwise the 429 response with
+ * Retry-After. A failing Durable Object never blocks a request.
+ *
+ * @param {Request} request
+ * @param {Record<string, any> | undefined} env
+ * @param {URL} remote - The validated upstream URL.
+ * @param {Array<"client" | "upstream">} [scopes] - The buckets to take from.
+ * @returns {Promise<Response | null>}
+ */
+async function checkRateLimits(request, env, remote, scopes = ["client", "upstream"]) {
+  const namespace = env?.RATE_LIMITER;
+  if (!namespace) return null;
+
+  const ip = request.headers.get("CF-Connecting-IP");
+  const owner = remote.pathname.split("/").find(Boolean) || "";
+  const buckets = [
+    ["client", ip && `client:${ip}`, env.CLIENT_RATE_LIMIT ?? DEFAULT_LIMITS.client],
+    ["upstream", `upstream:${remote.hostname.toLowerCase()}/${owner}`, env.UPSTREAM_RATE_LIMIT ?? DEFAULT_LIMITS.upstream]
+  ];
+
+  for (const [scope, key, spec] of buckets) {
+    const limit = parseLimit(spec);
+    if (!scopes.includes(scope) || !key || !limit) continue;
+
+    let result;
+    try {
+      const stub = namespace.get(namespace.idFromName(key));
+      const res = await stub.fetch("https://rate-limiter/take", {
+        method: "POST",
+        body: JSON.stringify(limit)
+      });
+      result = await res.json();
+    } catch {
+      continue;
+    }
+    if (!result.ok) {
+      return errorResponse(
+        request,
+        {
+          status: 429,
+          code: "rate_limited",
+          message: `Rate limit exceeded for this ${scope}; retry in ${result.retryAfter}s`,
+          context: { scope, retryAfter: result.retryAfter }
+        },
+        { "Retry-After": String(result.retryAfter) }
+      );
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse "<requests>/<seconds>" into { capacity, period }, or null when the
+ * limit is disabled or malformed.
+ */
+function parseLimit(spec) {
+  const match = String(spec).trim().match(/^(\d+)\s*\/\s*(\d+)$/);
+  if (!match) return null;
+  const capacity = Number(match[1]);
+  const period = Number(match[2]);
+  return capacity > 0 && period > 0 ? { capacity, period } : null;
+}
+
+/**
+ * Durable Object holding one token bucket. `POST /take` with
+ * `{ capacity, period }` answers `{ ok: true, remaining }` or
+ * `{ ok: false, retryAfter }` (seconds until the next token).
+ */
+class RateLimiter {
+  constructor(state) {
+    this.storage = state.storage;
+  }
+
+  async fetch(request) {
+    const { capacity, period } = await request.json();
+    const now = Date.now();
+    const perMs = capacity / (period * 1000);
+
+    const bucket = (await this.storage.get("bucket")) || { tokens: capacity, updated: now };
+    const tokens = Math.min(capacity, bucket.tokens + (now - bucket.updated) * perMs);
+    if (tokens < 1) {
+      await this.storage.put("bucket", { tokens, updated: now });
+      return Response.json({ ok: false, retryAfter: Math.max(1, Math.ceil((1 - tokens) / perMs / 1000)) });
+    }
+    await this.storage.put("bucket", { tokens: tokens - 1, updated: now });
+    return Response.json({ ok: true, remaining: Math.floor(tokens - 1) });
+  }
+}
+
+export { checkRateLimits, parseLimit, RateLimiter };
@@ -0,0 +1,95 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { checkRateLimits, parseLimit, RateLimiter } from "./rate-limiter.js";
+
+function createNamespace() {
+  const objects = new Map();
+  return {
+    objects,
+    idFromName: (name) => name,
+    get(id) {
+      if (!objects.has(id)) {
+        const data = new Map();
+        objects.set(id, new RateLimiter({
+          storage: { get: async (k) => data.get(k), put: async (k, v) => void data.set(k, v) }
+        }));
+      }
+      const object = objects.get(id);
+      return { fetch: (url, init) => object.fetch(new Request(url, init)) };
+    }
+  };
+}
+
+const remote = new URL("https://codeload.github.com/jisaacks/MaxPane/zip/master");
+
+function clientRequest(ip = "203.0.113.7") {
+  return new Request("https://worker.example/packages/MaxPane", { headers: { "CF-Connecting-IP": ip } });
+}
+
+describe("parseLimit", () => {
+  it.each([
+    ["30/60", { capacity: 30, period: 60 }],
+    [" 5 / 1 ", { capacity: 5, period: 1 }],
+    ["0/60", null],
+    ["off", null],
+    ["", null]
+  ])("parses %j", (spec, limit) => {
+    expect(parseLimit(spec)).toEqual(limit);
+  });
+});
+
+describe("checkRateLimits", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2026-01-01T00:00:00Z"));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("limits each client IP and refills over the period", async () => {
+    const env = { RATE_LIMITER: createNamespace(), CLIENT_RATE_LIMIT: "2/60", UPSTREAM_RATE_LIMIT: "off" };
+
+    expect(await checkRateLimits(clientRequest(), env, remote)).toBeNull();
+    expect(await checkRateLimits(clientRequest(), env, remote)).toBeNull();
+    const refused = await checkRateLimits(clientRequest(), env, remote);
+    expect(refused.status).toBe(429);
+    expect(refused.headers.get("Retry-After")).toBe("30");
+    expect(refused.headers.get("X-Error-Code")).toBe("rate_limited");
+
+    expect(await checkRateLimits(clientRequest("198.51.100.1"), env, remote)).toBeNull();
+
+    vi.advanceTimersByTime(30_000);
+    expect(await checkRateLimits(clientRequest(), env, remote)).toBeNull();
+  });
+
+  it("limits each upstream owner across clients", async () => {
+    const env = { RATE_LIMITER: createNamespace(), CLIENT_RATE_LIMIT: "0", UPSTREAM_RATE_LIMIT: "1/10" };
+
+    expect(await checkRateLimits(clientRequest("192.0.2.1"), env, remote)).toBeNull();
+    const refused = await checkRateLimits(
+      new Request("https://worker.example/", { headers: { Accept: "application/json" } }),
+      env,
+      remote
+    );
+    expect(await refused.json()).toEqual({
+      error: {
+        code: "rate_limited",
+        status: 429,
+        message: "Rate limit exceeded for this upstream; retry in 10s",
+        scope: "upstream",
+        retryAfter: 10
+      }
+    });
+    expect([...env.RATE_LIMITER.objects.keys()]).toEqual(["upstream:codeload.github.com/jisaacks"]);
+
+    const other = new URL("https://codeload.github.com/sublimehq/Packages/zip/master");
+    expect(await checkRateLimits(clientRequest(), env, other)).toBeNull();
+  });
+
+  it("lets requests through without the binding or when the object fails", async () => {
+    expect(await checkRateLimits(clientRequest(), {}, remote)).toBeNull();
+    const failing = { idFromName: (n) => n, get: () => ({ fetch: () => Promise.reject(new Error("down")) }) };
+    expect(await checkRateLimits(clientRequest(), { RATE_LIMITER: failing }, remote)).toBeNull();
+  });
+});
@@ -0,0 +1,205 @@
+// Minimal streaming reader for tar archives as produced by `git archive` and
+// the forge tarball endpoints (ustar with pax and GNU long-name extensions).
+
+const BLOCK = 512;
+
+function isGzip(bytes) {
+  return bytes.byteLength >= 2 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+}
+
+/**
+ * Read every entry of a tar stream into memory.
+ *
+ * Regular files and directories are returned; links, devices and FIFOs are
+ * skipped. Pax extended headers (`x`) and GNU long names (`L`) are applied to
+ * the entry that follows them; pax global headers (`g`, the
+ * `pax_global_header` that `git archive` writes) are collected separately
+ * rather than emitted as a file.
+ *
+ * Returns { ok: true, files, globals, size } or, once more than `maxBytes`
+ * have been read, { ok: false, status: 413, message }.
+ *
+ * @param {ReadableStream<Uint8Array>} stream - Uncompressed tar bytes.
+ * @param {{ maxBytes?: number }} [options]
+ * @returns {Promise<{
+ *   ok: true,
+ *   files: Array<{
+ *     name: string,
+ *     isDir: boolean,
+ *     mode: number,
+ *     mtime: number,        // seconds since the epoch
+ *     offset: number,       // header offset in the tar stream
+ *     dataOffset: number,   // data offset in the tar stream
+ *     data: Uint8Array
+ *   }>,
+ *   globals: Record<string, string>,
+ *   size: number
+ * } | { ok: false, status: number, message: string }>}
+ * @throws {Error} If the stream is not a well-formed tar archive, including one
+ *   that ends before its end-of-archive marker.
+ */
+async function readTar(stream, { maxBytes = Infinity } = {}) {
+  const reader = createBlockReader(stream);
+  const files = [];
+  const globals = {};
+  let pending = {};   // pax/GNU overrides for the next entry
+
+  try {
+    while (true) {
+      const offset = reader.position;
+      const header = await reader.read(BLOCK);
+      if (!header) throw new Error(offset === 0 ? "Not a tar archive" : "Unexpected end of tar archive");
+      if (header.every((b) => b === 0)) break;   // end-of-archive marker
+      if (!checksumMatches(header)) throw new Error("Bad tar header checksum");
+
+      const type = String.fromCharCode(header[156] || 0x30);
+      const size = readNumber(header, 124, 12);
+      if (reader.position + size > maxBytes) {
+        return { ok: false, status: 413, message: "Unpacked archive too large" };
+      }
+
+      const dataOffset = reader.position;
+      const data = size ? await reader.read(size) : new Uint8Array(0);
+      const padding = (BLOCK - (size % BLOCK)) % BLOCK;
+      if (!data || (padding && !(await reader.read(padding)))) throw new Error("Unexpected end of tar archive");
+
+      if (type === "x") {
+        Object.assign(pending, parsePax(data));
+        continue;
+      }
+      if (type === "g") {
+        Object.assign(globals, parsePax(data));
+        continue;
+      }
+      if (type === "L") {
+        pending.path = readString(data, 0, data.byteLength);
+        continue;
+      }
+
+      const isDir = type === "5";
+      if (!isDir && type !== "0" && type !== "7") {
+        pending = {};
+        continue;
+      }
+
+      let name = pending.path ?? headerName(header);
+      if (isDir && !name.endsWith("/")) name += "/";
+      files.push({
+        name,
+        isDir,
+        mode: readNumber(header, 100, 8) & 0o7777,
+        mtime: pending.mtime !== undefined ? Math.floor(Number(pending.mtime)) : readNumber(header, 136, 12),
+        offset,
+        dataOffset,
+        data: isDir ? new Uint8Array(0) : data
+      });
+      pending = {};
+    }
+  } finally {
+    await reader.cancel();
+  }
+
+  return { ok: true, files, globals, size: reader.position };
+}
+
+function headerName(header) {
+  const name = readString(header, 0, 100);
+  const isUstar = readString(header, 257, 5) === "ustar";
+  const prefix = isUstar ? readString(header, 345, 155) : "";
+  return prefix ? `${prefix}/${name}` : name;
+}
+
+function checksumMatches(header) {
+  let sum = 0;
+  for (let i = 0; i < BLOCK; i++) {
+    sum += i >= 148 && i < 156 ? 0x20 : header[i];
+  }
+  return sum === readNumber(header, 148, 8);
+}
+
+/**
+ * Numeric header field: NUL/space-terminated octal, or GNU base-256 when the
+ * high bit of the first byte is set.
+ */
+function readNumber(header, offset, length) {
+  if (header[offset] & 0x80) {
+    let value = header[offset] & 0x7f;
+    for (let i = 1; i < length; i++) value = value * 256 + header[offset + i];
+    return value;
+  }
+  const text = readString(header, offset, length).trim();
+  return text ? parseInt(text, 8) : 0;
+}
+
+function readString(bytes, offset, length) {
+  const field = bytes.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return new TextDecoder("utf-8").decode(end < 0 ? field : field.subarray(0, end));
+}
+
+/**
+ * Pax records: "<length> <key>=<value>\n", where length counts the whole
+ * record in bytes.
+ */
+function parsePax(data) {
+  const records = {};
+  const decoder = new TextDecoder("utf-8");
+  let p = 0;
+  while (p < data.byteLength) {
+    const space = data.indexOf(0x20, p);
+    if (space < 0) break;
+    const length = parseInt(decoder.decode(data.subarray(p, space)), 10);
+    if (!Number.isFinite(length) || length <= 0) break;
+    const record = decoder.decode(data.subarray(space + 1, p + length - 1));
+    const eq = record.indexOf("=");
+    if (eq > 0) records[record.slice(0, eq)] = record.slice(eq + 1);
+    p += length;
+  }
+  return records;
+}
+
+/**
+ * Read exact-length slices from a byte stream, tracking the absolute position.
+ * `read()` resolves to null when the stream ends first.
+ */
+function createBlockReader(stream) {
+  const reader = stream.getReader();
+  const chunks = [];
+  let buffered = 0;
+  const state = { position: 0 };
+
+  async function read(length) {
+    while (buffered < length) {
+      const { value, done } = await reader.read();
+      if (done) return null;
+      chunks.push(value);
+      buffered += value.byteLength;
+    }
+
+    const out = new Uint8Array(length);
+    let w = 0;
+    while (w < length) {
+      const chunk = chunks[0];
+      const n = Math.min(chunk.byteLength, length - w);
+      out.set(chunk.subarray(0, n), w);
+      w += n;
+      if (n === chunk.byteLength) chunks.shift();
+      else chunks[0] = chunk.subarray(n);
+    }
+    buffered -= length;
+    state.position += length;
+    return out;
+  }
+
+  async function cancel() {
+    try { await reader.cancel(); } catch {}
+  }
+
+  return {
+    get position() { return state.position; },
+    read,
+    cancel
+  };
+}
+
+export { isGzip, readTar };
@@ -0,0 +1,58 @@
+import fs from "node:fs";
+import path from "node:path";
+import { describe, expect, it } from "vitest";
+import { isGzip, readTar } from "./tar.js";
+
+const fixture = () => new Uint8Array(fs.readFileSync(path.resolve("test/fixtures", "TarPkg-1.0.0.tar.gz")));
+const gunzip = (bytes) => new Blob([bytes]).stream().pipeThrough(new DecompressionStream("gzip"));
+
+describe("readTar", () => {
+  it("detects gzip input", () => {
+    expect(isGzip(fixture())).toBe(true);
+    expect(isGzip(new Uint8Array([0x50, 0x4b, 3, 4]))).toBe(false);
+  });
+
+  it("reads a git archive tarball, keeping pax_global_header out of the files", async () => {
+    const tar = await readTar(gunzip(fixture()));
+    expect(tar.ok).toBe(true);
+    expect(tar.globals.comment).toBe("ae6249d986870584d4ef603c2e92918b3a0a92a2");
+    expect(tar.files.map((f) => f.name)).not.toContain("pax_global_header");
+
+    const helper = tar.files.find((f) => f.name === "TarPkg-1.0.0/bin/helper");
+    expect(helper.mode).toBe(0o775);
+    expect(helper.mtime).toBe(Date.UTC(2024, 4, 6, 7, 8, 9) / 1000);
+    expect(new TextDecoder().decode(helper.data)).toBe("#!/bin/sh\necho hi\n");
+    expect(tar.files.find((f) => f.name === "TarPkg-1.0.0/bin/").isDir).toBe(true);
+  });
+
+  it("joins the ustar prefix and name fields", async () => {
+    const tar = await readTar(gunzip(fixture()));
+    const long = tar.files.find((f) => f.name.endsWith(".txt") && f.name.length < 256);
+    expect(long.name.length).toBeGreaterThan(100);
+    expect(long.name).toMatch(/^TarPkg-1\.0\.0\/very-long-directory-name-/);
+    expect(new TextDecoder().decode(long.data)).toBe("deep\n");
+  });
+
+  it("applies pax path records to names longer than the ustar fields", async () => {
+    const tar = await readTar(gunzip(fixture()));
+    const longest = tar.files.find((f) => f.name.length > 255);
+    expect(longest.name).toMatch(/^TarPkg-1\.0\.0\/(very-long-directory-name-){3}\/(very-long-directory-name-){3}\//);
+    expect(new TextDecoder().decode(longest.data)).toBe("deeper\n");
+  });
+
+  it("stops once the unpacked size exceeds the limit", async () => {
+    const tar = await readTar(gunzip(fixture()), { maxBytes: 4096 });
+    expect(tar).toEqual({ ok: false, status: 413, message: "Unpacked archive too large" });
+  });
+
+  it("throws on a tarball cut off at a header boundary", async () => {
+    const whole = new Uint8Array(await new Response(gunzip(fixture())).arrayBuffer());
+    const cut = new Blob([whole.subarray(0, 1024)]).stream();
+    await expect(readTar(cut)).rejects.toThrow("Unexpected end of tar archive");
+  });
+
+  it("throws on input that is not a tar archive", async () => {
+    const junk = new Blob([new Uint8Array(1024).fill(7)]).stream();
+    await expect(readTar(junk)).rejects.toThrow("Bad tar header checksum");
+  });
+});
@@ -0,0 +1,194 @@
+// Classify upstream hostnames so requests never reach the worker's own
+// network neighbourhood (SSRF). IP literals are refused outright; the range
+// tables only decide the reason reported. Names are refused when they are
+// local by definition (localhost, .internal, ...) or belong to public DNS
+// services known to resolve to loopback or to an address spelled in the name.
+//
+// Workers cannot resolve DNS before fetching, so an arbitrary name pointing at
+// a private address is still left to the host allowlist.
+
+const IPV4_RANGES = [
+  ["0.0.0.0/8", "unspecified"],
+  ["10.0.0.0/8", "private"],
+  ["100.64.0.0/10", "shared address space"],
+  ["127.0.0.0/8", "loopback"],
+  ["169.254.0.0/16", "link-local"],
+  ["172.16.0.0/12", "private"],
+  ["192.0.0.0/24", "IETF protocol assignments"],
+  ["192.0.2.0/24", "documentation"],
+  ["192.88.99.0/24", "6to4 relay anycast"],
+  ["192.168.0.0/16", "private"],
+  ["198.18.0.0/15", "benchmarking"],
+  ["198.51.100.0/24", "documentation"],
+  ["203.0.113.0/24", "documentation"],
+  ["224.0.0.0/4", "multicast"],
+  ["240.0.0.0/4", "reserved"]
+].map(([cidr, label]) => {
+  const [base, bits] = cidr.split("/");
+  const mask = Number(bits) === 0 ? 0 : (~0 << (32 - Number(bits))) >>> 0;
+  return { cidr, label, base: parseIPv4(base), mask };
+});
+
+const IPV6_RANGES = [
+  ["::/128", "unspecified"],
+  ["::1/128", "loopback"],
+  ["64:ff9b:1::/48", "local-use NAT64"],
+  ["100::/64", "discard-only"],
+  ["2001::/32", "Teredo"],
+  ["2001:db8::/32", "documentation"],
+  ["fc00::/7", "unique local"],
+  ["fe80::/10", "link-local"],
+  ["fec0::/10", "site-local"],
+  ["ff00::/8", "multicast"]
+].map(([cidr, label]) => {
+  const [base, bits] = cidr.split("/");
+  return { cidr, label, base: toBigInt(parseIPv6(base)), bits: BigInt(bits) };
+});
+
+// Special-use names (RFC 6761, RFC 8375) and de-facto internal suffixes.
+const LOCAL_SUFFIXES = ["localhost", "local", "localdomain", "internal", "home.arpa"];
+
+// Public names that resolve to 127.0.0.1 for any subdomain, or to the address
+// written in the name (10.0.0.1.nip.io).
+const LOOPBACK_DOMAINS = ["localtest.me", "lvh.me", "vcap.me", "lacolhost.com"];
+const ECHO_DOMAINS = ["nip.io", "sslip.io", "xip.io", "traefik.me"];
+
+/**
+ * Classify a URL hostname.
+ *
+ * @param {string} hostname - As found in `URL.hostname` (IPv6 in brackets)
+ *   or raw; numeric IPv4 spellings (`2130706433`, `0x7f.1`, `127.1`) are
+ *   understood either way.
+ * @returns {{
+ *   kind: "ipv4" | "ipv6" | "name",
+ *   address: string | null,   // normalized IP literal
+ *   range: string | null,     // matching special-purpose CIDR
+ *   blocked: boolean,
+ *   reason: string | null
+ * }}
+ */
+function classifyHost(hostname) {
+  const host = String(hostname).toLowerCase().replace(/\.+$/, "");
+
+  const v4 = parseIPv4(host);
+  if (v4 !== null) return classifyIPv4(v4, "IPv4");
+
+  const v6 = parseIPv6(host);
+  if (v6 !== null) return classifyIPv6(v6);
+
+  const result = { kind: "name", address: null, range: null, blocked: false, reason: null };
+  const block = (reason) => ({ ...result, blocked: true, reason });
+  if (!host) return block("empty hostname");
+  const suffix = LOCAL_SUFFIXES.find((s) => host === s || host.endsWith(`.${s}`));
+  if (suffix) return block(`local name (.${suffix})`);
+  if (!host.includes(".")) return block(`single-label hostname "${host}"`);
+  const loopback = LOOPBACK_DOMAINS.find((d) => host === d || host.endsWith(`.${d}`));
+  if (loopback) return block(`${loopback} resolves to loopback`);
+  const echo = ECHO_DOMAINS.find((d) => host === d || host.endsWith(`.${d}`));
+  if (echo) return block(`${echo} resolves to the address in the name`);
+  return result;
+}
+
+function classifyIPv4(value, kind) {
+  const address = formatIPv4(value);
+  const range = IPV4_RANGES.find((r) => ((value & r.mask) >>> 0) === r.base);
+  return {
+    kind: "ipv4",
+    address,
+    range: range?.cidr ?? null,
+    blocked: true,
+    reason: range ? `${kind} ${range.label} address ${address} (${range.cidr})` : `${kind} literal ${address}`
+  };
+}
+
+function classifyIPv6(groups) {
+  const value = toBigInt(groups);
+  const address = formatIPv6(groups);
+  const low32 = Number(value & 0xffffffffn);
+
+  // Addresses carrying an IPv4 address are judged by that address.
+  const embedded =
+    value >> 32n === 0xffffn ? "IPv4-mapped IPv6"
+      : value >> 32n === 0n && value > 1n ? "IPv4-compatible IPv6"
+        : value >> 32n === 0x64ff9b0000000000000000n ? "NAT64"
+          : null;
+  if (embedded) return { ...classifyIPv4(low32, embedded), kind: "ipv6", address };
+  if (value >> 112n === 0x2002n) {
+    const v4 = Number((value >> 80n) & 0xffffffffn);
+    return { ...classifyIPv4(v4, "6to4"), kind: "ipv6", address };
+  }
+
+  const range = IPV6_RANGES.find((r) => value >> (128n - r.bits) === r.base >> (128n - r.bits));
+  return {
+    kind: "ipv6",
+    address,
+    range: range?.cidr ?? null,
+    blocked: true,
+    reason: range ? `IPv6 ${range.label} address ${address} (${range.cidr})` : `IPv6 literal ${address}`
+  };
+}
+
+/**
+ * Parse IPv4 the way URL hosts are parsed: one to four dot-separated parts in
+ * decimal, octal (leading 0) or hex (0x), the last part filling the remaining
+ * bytes. Returns the address as an unsigned 32-bit number, or null.
+ */
+function parseIPv4(host) {
+  const parts = host.split(".");
+  if (parts.length > 4 || parts.some((p) => p === "")) return null;
+
+  const numbers = [];
+  for (const part of parts) {
+    let n;
+    if (/^0x[0-9a-f]*$/i.test(part)) n = part.length === 2 ? 0 : parseInt(part.slice(2), 16);
+    else if (/^0[0-7]+$/.test(part)) n = parseInt(part, 8);
+    else if (/^(?:0|[1-9][0-9]*)$/.test(part)) n = parseInt(part, 10);
+    else return null;
+    numbers.push(n);
+  }
+
+  const last = numbers.pop();
+  if (numbers.some((n) => n > 255) || last >= 256 ** (4 - numbers.length)) return null;
+  return numbers.reduce((sum, n, i) => sum + n * 256 ** (3 - i), last);
+}
+
+/**
+ * Parse an IPv6 literal (optionally bracketed, with a zone id or a dotted
+ * IPv4 tail) into eight 16-bit groups, or null.
+ */
+function parseIPv6(host) {
+  let h = host.replace(/^\[(.*)\]$/, "$1").replace(/%.*$/, "");
+  if (!h.includes(":")) return null;
+
+  const lastColon = h.lastIndexOf(":");
+  const tail = h.slice(lastColon + 1);
+  if (tail.includes(".")) {
+    if (!/^\d{1,3}(?:\.\d{1,3}){3}$/.test(tail)) return null;
+    const v4 = parseIPv4(tail.split(".").map((p) => String(Number(p))).join("."));
+    if (v4 === null) return null;
+    h = `${h.slice(0, lastColon + 1)}${(v4 >>> 16).toString(16)}:${(v4 & 0xffff).toString(16)}`;
+  }
+
+  const halves = h.split("::");
+  if (halves.length > 2) return null;
+  const head = halves[0] ? halves[0].split(":") : [];
+  const rest = halves.length === 2 ? (halves[1] ? halves[1].split(":") : []) : null;
+  if (rest && head.length + rest.length > 7) return null;
+  const groups = rest ? [...head, ...Array(8 - head.length - rest.length).fill("0"), ...rest] : head;
+  if (groups.length !== 8 || !groups.every((g) => /^[0-9a-f]{1,4}$/i.test(g))) return null;
+  return groups.map((g) => parseInt(g, 16));
+}
+
+function toBigInt(groups) {
+  return groups.reduce((value, g) => (value << 16n) | BigInt(g), 0n);
+}
+
+function formatIPv4(value) {
+  return [24, 16, 8, 0].map((shift) => (value >>> shift) & 0xff).join(".");
+}
+
+function formatIPv6(groups) {
+  return groups.map((g) => g.toString(16)).join(":");
+}
+
+export { classifyHost };
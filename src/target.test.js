@@ -0,0 +1,94 @@
+import { describe, expect, it } from "vitest";
+import { classifyHost } from "./target.js";
+
+// [host as written in a URL, kind, normalized address, special-purpose range]
+const BLOCKED = [
+  // IPv4 spellings of loopback
+  ["127.0.0.1", "ipv4", "127.0.0.1", "127.0.0.0/8"],
+  ["127.1", "ipv4", "127.0.0.1", "127.0.0.0/8"],
+  ["2130706433", "ipv4", "127.0.0.1", "127.0.0.0/8"],
+  ["0x7f000001", "ipv4", "127.0.0.1", "127.0.0.0/8"],
+  ["0x7f.1", "ipv4", "127.0.0.1", "127.0.0.0/8"],
+  ["0177.0.0.1", "ipv4", "127.0.0.1", "127.0.0.0/8"],
+  ["127.0.0.1.", "ipv4", "127.0.0.1", "127.0.0.0/8"],
+  // IPv4 special-purpose ranges
+  ["0.0.0.0", "ipv4", "0.0.0.0", "0.0.0.0/8"],
+  ["10.1.2.3", "ipv4", "10.1.2.3", "10.0.0.0/8"],
+  ["100.64.0.1", "ipv4", "100.64.0.1", "100.64.0.0/10"],
+  ["169.254.169.254", "ipv4", "169.254.169.254", "169.254.0.0/16"],
+  ["172.31.255.255", "ipv4", "172.31.255.255", "172.16.0.0/12"],
+  ["192.168.1.1", "ipv4", "192.168.1.1", "192.168.0.0/16"],
+  ["198.19.0.1", "ipv4", "198.19.0.1", "198.18.0.0/15"],
+  ["224.0.0.251", "ipv4", "224.0.0.251", "224.0.0.0/4"],
+  ["255.255.255.255", "ipv4", "255.255.255.255", "240.0.0.0/4"],
+  // Public IPv4 literals are refused too, without a range
+  ["8.8.8.8", "ipv4", "8.8.8.8", null],
+  // IPv6
+  ["[::1]", "ipv6", "0:0:0:0:0:0:0:1", "::1/128"],
+  ["[::]", "ipv6", "0:0:0:0:0:0:0:0", "::/128"],
+  ["[fe80::1%25eth0]", "ipv6", "fe80:0:0:0:0:0:0:1", "fe80::/10"],
+  ["[fd12:3456::1]", "ipv6", "fd12:3456:0:0:0:0:0:1", "fc00::/7"],
+  ["[ff02::1]", "ipv6", "ff02:0:0:0:0:0:0:1", "ff00::/8"],
+  ["[2001:db8::1]", "ipv6", "2001:db8:0:0:0:0:0:1", "2001:db8::/32"],
+  ["[2606:4700::1111]", "ipv6", "2606:4700:0:0:0:0:0:1111", null],
+  // IPv6 forms carrying IPv4 are judged by the IPv4 address
+  ["[::ffff:127.0.0.1]", "ipv6", "0:0:0:0:0:ffff:7f00:1", "127.0.0.0/8"],
+  ["[::ffff:7f00:1]", "ipv6", "0:0:0:0:0:ffff:7f00:1", "127.0.0.0/8"],
+  ["[::10.0.0.1]", "ipv6", "0:0:0:0:0:0:a00:1", "10.0.0.0/8"],
+  ["[64:ff9b::a9fe:a9fe]", "ipv6", "64:ff9b:0:0:0:0:a9fe:a9fe", "169.254.0.0/16"],
+  ["[2002:c0a8:101::1]", "ipv6", "2002:c0a8:101:0:0:0:0:1", "192.168.0.0/16"]
+];
+
+const BLOCKED_NAMES = [
+  ["localhost", "local name (.localhost)"],
+  ["LOCALHOST.", "local name (.localhost)"],
+  ["api.localhost", "local name (.localhost)"],
+  ["printer.local", "local name (.local)"],
+  ["metadata.google.internal", "local name (.internal)"],
+  ["router.home.arpa", "local name (.home.arpa)"],
+  ["intranet", 'single-label hostname "intranet"'],
+  ["localtest.me", "localtest.me resolves to loopback"],
+  ["pkg.localtest.me", "localtest.me resolves to loopback"],
+  ["app.lvh.me", "lvh.me resolves to loopback"],
+  ["10.0.0.1.nip.io", "nip.io resolves to the address in the name"],
+  ["127-0-0-1.sslip.io", "sslip.io resolves to the address in the name"]
+];
+
+const ALLOWED = [
+  "codeload.github.com",
+  "codeload.github.com.",
+  "gitlab.com",
+  "group.gitlab.io",
+  "1.2.3.4.example.com",
+  "localhost.example.com",
+  "xn--bcher-kva.example"
+];
+
+describe("classifyHost", () => {
+  it.each(BLOCKED)("blocks %s", (host, kind, address, range) => {
+    expect(classifyHost(host)).toMatchObject({ kind, address, range, blocked: true });
+  });
+
+  it.each(BLOCKED_NAMES)("blocks the name %s", (host, reason) => {
+    expect(classifyHost(host)).toEqual({ kind: "name", address: null, range: null, blocked: true, reason });
+  });
+
+  it.each(ALLOWED)("allows %s", (host) => {
+    expect(classifyHost(host)).toMatchObject({ kind: "name", blocked: false, reason: null });
+  });
+
+  it.each(["2130706433", "127.1", "0x7f.1", "[::ffff:127.0.0.1]", "localtest.me"])(
+    "agrees with the URL parser for https://%s/",
+    (host) => {
+      expect(classifyHost(new URL(`https://${host}/`).hostname).blocked).toBe(true);
+    }
+  );
+
+  it("names the range in the reason", () => {
+    expect(classifyHost("169.254.169.254").reason)
+      .toBe("IPv4 link-local address 169.254.169.254 (169.254.0.0/16)");
+    expect(classifyHost("[::ffff:10.0.0.1]").reason)
+      .toBe("IPv4-mapped IPv6 private address 10.0.0.1 (10.0.0.0/8)");
+    expect(classifyHost("8.8.8.8").reason).toBe("IPv4 literal 8.8.8.8");
+  });
+});
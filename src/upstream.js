@@ -0,0 +1,442 @@
+// Upstream requests shared by the routes that fetch from an origin: URL
+// validation (scheme, credentials, IP literals, allowlist), redirects followed
+// by hand, per-attempt timeouts with retries, mirror fallback, size-limited
+// body reads and Range requests, plus the Server-Timing reports of what
+// happened along the way.
+
+import { checkAllowlist, parseAllowlist } from "./allowlist.js";
+import { addTiming } from "./http.js";
+import { classifyHost } from "./target.js";
+
+const DEFAULT_ALLOW_HOSTS = "codeload.github.com,bitbucket.org,codelab.org,gitlab.com";
+
+/**
+ * Validate the provided remote URL against protocol and allowlist rules.
+ * Returns { ok: true, parsedRemote, allowlist } on success, otherwise
+ * { ok: false, status, code, message, context } (see errors.js).
+ * `allowHosts` defaults to the package allowlist (ALLOW_HOSTS).
+ *
+ * @param {string} remoteUrl
+ * @param {{ ALLOW_HOSTS?: string }} env
+ * @param {string} [allowHosts]
+ */
+function validateUrl(remoteUrl, env, allowHosts = env?.ALLOW_HOSTS || DEFAULT_ALLOW_HOSTS) {
+  const allowlist = parseAllowlist(allowHosts);
+
+  let parsedRemote;
+  try {
+    parsedRemote = new URL(remoteUrl);
+  } catch {
+    return { ok: false, status: 400, code: "invalid_url", message: "Invalid url parameter" };
+  }
+
+  if (parsedRemote.protocol !== "https:") {
+    return {
+      ok: false,
+      status: 400,
+      code: "https_required",
+      message: "Only https URLs are allowed",
+      context: { protocol: parsedRemote.protocol }
+    };
+  }
+  if (parsedRemote.username || parsedRemote.password) {
+    return { ok: false, status: 400, code: "credentials_not_allowed", message: "Credentials in URLs are not allowed" };
+  }
+  const host = parsedRemote.hostname.toLowerCase();
+  const target = classifyHost(host);
+  if (target.blocked) {
+    return {
+      ok: false,
+      status: 400,
+      code: "target_not_allowed",
+      message: `IP/localhost targets are not allowed: ${target.reason}`,
+      context: { host, address: target.address, range: target.range }
+    };
+  }
+  const allowed = checkAllowlist(allowlist, parsedRemote);
+  if (!allowed.ok) {
+    return {
+      ok: false,
+      status: 403,
+      code: "host_not_allowed",
+      message: `Host not permitted: ${allowed.reason}`,
+      context: { host, path: parsedRemote.pathname, rule: allowed.rule }
+    };
+  }
+
+  return { ok: true, parsedRemote, allowlist };
+}
+
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+/**
+ * fetch() with redirects followed by hand, so every `Location` is validated
+ * like the original URL (scheme, credentials, IP literals, allowlist) before
+ * it is requested. At most MAX_REDIRECTS (default 5) hops are followed.
+ *
+ * Each hop is requested with retries (see fetchWithRetries), which throws
+ * when the last attempt fails or times out.
+ *
+ * Returns { ok: true, res, url } with the final response and its URL, or
+ * { ok: false, status, code, message, context } when a hop is refused.
+ * Followed hops are appended to `redirects` (once each). Hops are checked
+ * against `upstream.allowHosts` when set, otherwise ALLOW_HOSTS.
+ */
+async function fetchUpstream(url, init, upstream) {
+  const { env, redirects } = upstream;
+  const maxRedirects = Number(env?.MAX_REDIRECTS ?? 5);
+  let current = url;
+  for (let hops = 0; ; hops++) {
+    const res = await fetchWithRetries(current, init, upstream);
+    const location = REDIRECT_STATUSES.has(res.status) && res.headers.get("location");
+    if (!location) return { ok: true, res, url: current };
+    try { await res.body?.cancel(); } catch {}
+
+    if (hops >= maxRedirects) {
+      return {
+        ok: false,
+        status: 502,
+        code: "too_many_redirects",
+        message: `Too many upstream redirects (limit ${maxRedirects})`,
+        context: { limit: maxRedirects }
+      };
+    }
+    let next;
+    try {
+      next = new URL(location, current).toString();
+    } catch {
+      return {
+        ok: false,
+        status: 502,
+        code: "invalid_redirect",
+        message: "Invalid upstream redirect",
+        context: { location }
+      };
+    }
+    const validation = validateUrl(next, env, upstream.allowHosts);
+    if (!validation.ok) {
+      return {
+        ok: false,
+        status: validation.status,
+        code: "redirect_refused",
+        message: `Redirect to ${next} refused: ${validation.message}`,
+        context: { location: next, cause: validation.code, ...validation.context }
+      };
+    }
+    if (!redirects.includes(next)) redirects.push(next);
+    current = next;
+  }
+}
+
+// Statuses worth another attempt after a backoff.
+const RETRY_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+const MAX_BACKOFF_MS = 5000;
+
+/**
+ * One upstream request with a per-attempt timeout (UPSTREAM_TIMEOUT_MS,
+ * default 15000) for the response headers and for every read of the body
+ * after them (see withBodyDeadline), and up to UPSTREAM_RETRIES
+ * (default 2) retries of network errors, timeouts and retryable statuses.
+ * Retries wait a full-jitter exponential backoff from UPSTREAM_BACKOFF_MS
+ * (default 250), or the origin's Retry-After when that is longer, capped at
+ * five seconds.
+ *
+ * Every attempt is appended to `attempts` as
+ * { source, method, url, status, error, duration }.
+ */
+async function fetchWithRetries(url, init, { env, attempts, source = "origin" }) {
+  const retries = Number(env?.UPSTREAM_RETRIES ?? 2);
+  const timeout = Number(env?.UPSTREAM_TIMEOUT_MS || 15_000);
+  const backoff = Number(env?.UPSTREAM_BACKOFF_MS ?? 250);
+  const method = (init.method || "GET").toUpperCase();
+
+  for (let attempt = 0; ; attempt++) {
+    const started = Date.now();
+    let res;
+    let error;
+    try {
+      res = await fetchWithTimeout(url, init, timeout);
+    } catch (e) {
+      error = e;
+    }
+    attempts?.push({
+      source,
+      method,
+      url,
+      status: res?.status ?? null,
+      error: error ? (error.timeout ? "timeout" : error.message || "network error") : null,
+      duration: Date.now() - started
+    });
+
+    if (attempt >= retries || !(error || RETRY_STATUSES.has(res.status))) {
+      if (error) throw error;
+      return res;
+    }
+    try { await res?.body?.cancel(); } catch {}
+    await new Promise((resolve) => setTimeout(resolve, retryDelay(attempt, backoff, res)));
+  }
+}
+
+async function fetchWithTimeout(url, init, timeout) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  let res;
+  try {
+    res = await fetch(url, { ...init, redirect: "manual", signal: controller.signal });
+  } catch (e) {
+    if (!controller.signal.aborted) throw e;
+    throw timeoutError(timeout);
+  } finally {
+    clearTimeout(timer);
+  }
+  return withBodyDeadline(res, controller, timeout);
+}
+
+/**
+ * Keep the request's deadline in force while its body is read: a read that
+ * gets no data within `timeout` aborts the request and errors the body with
+ * a timeout error, so a stalled origin cannot hold the request open.
+ */
+function withBodyDeadline(res, controller, timeout) {
+  if (!res.body) return res;
+  const reader = res.body.getReader();
+  const body = new ReadableStream({
+    async pull(stream) {
+      let timer;
+      const expired = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(timeoutError(timeout)), timeout);
+      });
+      try {
+        const { value, done } = await Promise.race([reader.read(), expired]);
+        if (done) stream.close();
+        else stream.enqueue(value);
+      } catch (e) {
+        controller.abort();
+        reader.cancel().catch(() => {});
+        stream.error(e);
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    }
+  });
+  return new Response(body, res);
+}
+
+function timeoutError(timeout) {
+  return Object.assign(new Error(`timed out after ${timeout} ms`), { timeout: true });
+}
+
+function retryDelay(attempt, backoff, res) {
+  const jitter = Math.random() * backoff * 2 ** attempt;
+  const retryAfter = Number(res?.headers.get("retry-after")) * 1000;
+  return Math.min(MAX_BACKOFF_MS, Number.isFinite(retryAfter) ? Math.max(jitter, retryAfter) : jitter);
+}
+
+/**
+ * GET the archive from the first source that answers 2xx: the requested URL,
+ * then each mirror in order. Returns { ok: true, res, url, source, read }, or
+ * the error of the last source tried.
+ *
+ * `read(res, url)` consumes the body while the source is still current (its
+ * result is returned as `read`). A body that fails partway, by a dropped
+ * connection or a timeout, counts as a failed attempt: the source is asked
+ * again up to UPSTREAM_RETRIES times, then the next one is tried.
+ */
+async function fetchArchive(sources, upstream, read = null) {
+  const retries = Number(upstream.env?.UPSTREAM_RETRIES ?? 2);
+  const backoff = Number(upstream.env?.UPSTREAM_BACKOFF_MS ?? 250);
+  let failure;
+  for (const [i, url] of sources.entries()) {
+    const label = i === 0 ? "origin" : `mirror${i}`;
+    for (let retry = 0; ; retry++) {
+      let got;
+      try {
+        got = await fetchUpstream(url, {}, { ...upstream, source: label });
+      } catch (e) {
+        failure = unreachableError(url, e);
+        break;
+      }
+      if (!got.ok) {
+        failure = got;
+        break;
+      }
+      if (!got.res.ok) {
+        try { await got.res.body?.cancel(); } catch {}
+        failure = upstreamStatusError(got.res);
+        break;
+      }
+      if (!read) return { ...got, source: url };
+
+      const attempt = upstream.attempts?.at(-1);
+      const started = Date.now() - (attempt?.duration ?? 0);
+      try {
+        return { ...got, source: url, read: await read(got.res, url) };
+      } catch (e) {
+        if (attempt) {
+          attempt.error = e.timeout ? "timeout" : e.message || "network error";
+          attempt.duration = Date.now() - started;
+        }
+        failure = unreachableError(url, e);
+      }
+      if (retry >= retries) break;
+      await new Promise((resolve) => setTimeout(resolve, retryDelay(retry, backoff)));
+    }
+  }
+  return failure;
+}
+
+function unreachableError(url, error) {
+  return error.timeout
+    ? { ok: false, status: 504, code: "upstream_timeout", message: `Upstream ${error.message}`, context: { url } }
+    : { ok: false, status: 502, code: "upstream_unreachable", message: `Upstream unreachable: ${error.message}`, context: { url } };
+}
+
+/**
+ * Mirrors from repeated `?mirror=` parameters, tried in order when the
+ * requested URL fails. Each is validated like `?url=`.
+ */
+function readMirrors(request, env) {
+  const urls = new URL(request.url).searchParams.getAll("mirror");
+  if (urls.length > MAX_MIRRORS) {
+    return {
+      ok: false,
+      status: 400,
+      code: "too_many_mirrors",
+      message: `At most ${MAX_MIRRORS} mirrors are allowed`,
+      context: { limit: MAX_MIRRORS }
+    };
+  }
+  for (const mirror of urls) {
+    const validation = validateUrl(mirror, env);
+    if (!validation.ok) {
+      return {
+        ok: false,
+        status: validation.status,
+        code: "mirror_refused",
+        message: `Mirror ${mirror} refused: ${validation.message}`,
+        context: { mirror, cause: validation.code, ...validation.context }
+      };
+    }
+  }
+  return { ok: true, urls };
+}
+
+const MAX_MIRRORS = 5;
+
+/**
+ * Report the upstream attempt history in Server-Timing when an attempt was
+ * retried or a mirror was tried: one `attempt` metric per request, e.g.
+ * `attempt;desc=origin-get-503;dur=120`.
+ */
+function reportAttempts(resp, attempts) {
+  const eventful = (a) => a.error || RETRY_STATUSES.has(a.status) || a.source !== "origin";
+  if (!attempts.some(eventful)) return resp;
+  return attempts.reduce((r, a) => {
+    const outcome = a.error === "timeout" ? "timeout" : a.error ? "error" : a.status;
+    return addTiming(r, `attempt;desc=${a.source}-${a.method.toLowerCase()}-${outcome};dur=${a.duration}`);
+  }, resp);
+}
+
+/**
+ * The error for a non-2xx upstream response after redirects.
+ */
+function upstreamStatusError(res) {
+  return {
+    status: 502,
+    code: "upstream_status",
+    message: `Upstream error: ${res.status}`,
+    context: { upstreamStatus: res.status }
+  };
+}
+
+
+/**
+ * Report the upstream redirect chain: the hop count in Server-Timing and the
+ * URLs in X-Upstream-Redirects.
+ */
+function reportRedirects(resp, remoteUrl, redirects) {
+  if (!redirects.length) return resp;
+  const r = addTiming(resp, `redirect;desc=${redirects.length}`);
+  r.headers.set("X-Upstream-Redirects", [remoteUrl, ...redirects].join(" -> "));
+  return r;
+}
+
+
+/**
+ * Read response body enforcing a byte limit (also used for request bodies)
+ * Returns { ok: true, body: Uint8Array } or { ok: false, status, code, message }
+ */
+async function readLimited(res, maxBytes) {
+  const len = res.headers.get("content-length");
+  if (len && Number(len) > maxBytes) {
+    return { ok: false, status: 413, code: "too_large", message: "File too large" };
+  }
+
+  if (!res.body) {
+    const ab = await res.arrayBuffer();
+    if (ab.byteLength > maxBytes) {
+      return { ok: false, status: 413, code: "too_large", message: "File too large" };
+    }
+    return { ok: true, body: new Uint8Array(ab) };
+  }
+
+  const reader = res.body.getReader();
+  const chunks = [];
+  let received = 0;
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    if (value) {
+      received += value.byteLength;
+      if (received > maxBytes) {
+        try {
+          reader.cancel();
+        } catch {}
+        return { ok: false, status: 413, code: "too_large", message: "File too large" };
+      }
+      chunks.push(value);
+    }
+  }
+  const out = new Uint8Array(received);
+  let offset = 0;
+  for (const c of chunks) {
+    out.set(c, offset);
+    offset += c.byteLength;
+  }
+  return { ok: true, body: out };
+}
+
+
+/**
+ * Fetch bytes [start, end) of `url` with the per-attempt timeout and retries
+ * of any upstream request (recorded in `upstream.attempts`); throws unless
+ * the origin answers with exactly that partial content.
+ */
+async function fetchRange(url, start, end, upstream) {
+  // Not followed: a range request must not be sent to an unvalidated host.
+  const res = await fetchWithRetries(url, { headers: { Range: `bytes=${start}-${end - 1}` } }, upstream);
+  if (res.status !== 206) {
+    try { await res.body?.cancel(); } catch {}
+    throw new Error(`Range not honored: ${res.status}`);
+  }
+  const bytes = new Uint8Array(await res.arrayBuffer());
+  if (bytes.byteLength !== end - start) throw new Error("Short range response");
+  return bytes;
+}
+
+export {
+  validateUrl,
+  readMirrors,
+  fetchUpstream,
+  fetchArchive,
+  fetchRange,
+  readLimited,
+  unreachableError,
+  upstreamStatusError,
+  reportAttempts,
+  reportRedirects
+};